@@ -0,0 +1,139 @@
+// Envelope encryption for auth-state stores (see auth-state.js).
+//
+//   const keyring = parseKeyring(process.env.AUTH_ENCRYPTION_KEY, process.env.AUTH_ENCRYPTION_PREVIOUS_KEYS);
+//   const store = createEncryptedAuthStore(createAuthStore('file', options), keyring);
+//
+// Every value gets its own random data key (AES-256-GCM). The data key is stored next to
+// the ciphertext, wrapped with the master key, so rotating the master key only rewraps a
+// few bytes per entry. Master keys are 32 bytes (base64 or hex) and are identified by a
+// fingerprint, so old keys only need to stay listed in AUTH_ENCRYPTION_PREVIOUS_KEYS until
+// every entry has been rewrapped. The ciphertext is bound to its agent and key, so a file
+// copied over another one fails to decrypt instead of loading someone else's session.
+//
+// Plaintext entries are still readable, which is what makes migrating existing sessions
+// transparent: encryptAgent() rewrites them (and rewraps entries under old keys).
+
+const crypto = require('crypto');
+const { BufferJSON } = require('@whiskeysockets/baileys');
+const { fixKey, SERVICE_KEYS } = require('./auth-state');
+
+const ENVELOPE_VERSION = 'aes-256-gcm/v1';
+
+function parseMasterKey(value) {
+  const text = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) throw new Error('Auth encryption keys must be 32 bytes, base64 or hex encoded');
+  const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+  return { id, key };
+}
+
+// active: the key new values are written with; previous: comma-separated keys still accepted
+function parseKeyring(active, previous) {
+  const keys = new Map();
+  const activeKey = active ? parseMasterKey(active) : null;
+  if (activeKey) keys.set(activeKey.id, activeKey.key);
+  for (const value of String(previous || '').split(',')) {
+    if (!value.trim()) continue;
+    const { id, key } = parseMasterKey(value);
+    keys.set(id, key);
+  }
+  return { activeId: activeKey?.id || null, keys };
+}
+
+function isEnvelope(value) {
+  return !!value && typeof value === 'object' && value.enc === ENVELOPE_VERSION;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+}
+
+function unseal(key, sealed, aad) {
+  const raw = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+}
+
+function createEncryptedAuthStore(inner, keyring) {
+  const masterKey = (kid) => {
+    const key = keyring.keys.get(kid);
+    if (!key) {
+      throw new Error(`Auth data is encrypted with key ${kid}, which is not in AUTH_ENCRYPTION_KEY / AUTH_ENCRYPTION_PREVIOUS_KEYS`);
+    }
+    return key;
+  };
+  // Keys come in raw from Baileys and escaped from readPrefix(); bind to the escaped form
+  const aadFor = (agentId, key) => `${agentId}/${fixKey(key)}`;
+
+  const encrypt = (agentId, key, value) => {
+    const dataKey = crypto.randomBytes(32);
+    const kid = keyring.activeId;
+    return {
+      enc: ENVELOPE_VERSION,
+      kid,
+      key: seal(keyring.keys.get(kid), dataKey, kid),
+      data: seal(dataKey, Buffer.from(JSON.stringify(value, BufferJSON.replacer)), aadFor(agentId, key)),
+    };
+  };
+
+  const decrypt = (agentId, key, value) => {
+    if (!isEnvelope(value)) return value;
+    const dataKey = unseal(masterKey(value.kid), value.key, value.kid);
+    return JSON.parse(unseal(dataKey, value.data, aadFor(agentId, key)).toString('utf8'), BufferJSON.reviver);
+  };
+
+  // Same ciphertext, data key wrapped with the active master key
+  const rewrap = (value) => {
+    const dataKey = unseal(masterKey(value.kid), value.key, value.kid);
+    return { ...value, kid: keyring.activeId, key: seal(keyring.keys.get(keyring.activeId), dataKey, keyring.activeId) };
+  };
+
+  return {
+    ...inner,
+    encrypted: !!keyring.activeId,
+    async read(agentId, key) {
+      return decrypt(agentId, key, await inner.read(agentId, key));
+    },
+    write(agentId, key, value) {
+      return inner.write(agentId, key, keyring.activeId ? encrypt(agentId, key, value) : value);
+    },
+    async readPrefix(agentId, prefix) {
+      return (await inner.readPrefix(agentId, prefix)).map(([key, value]) => [key, decrypt(agentId, key, value)]);
+    },
+    // Encrypt plaintext entries and rewrap entries under previous keys; a no-op without an
+    // active key. Works on an agent or on one of the service's namespaces ("_api_keys"...).
+    async encryptAgent(agentId) {
+      const result = { encrypted: 0, rewrapped: 0 };
+      if (!keyring.activeId) return result;
+      const entries = await inner.readPrefix(agentId, '');
+      // The file driver's readPrefix() leaves the service's per-agent keys out
+      for (const key of SERVICE_KEYS) {
+        if (entries.some(([k]) => k === key)) continue;
+        const value = await inner.read(agentId, key);
+        if (value !== null) entries.push([key, value]);
+      }
+      for (const [key, value] of entries) {
+        if (!isEnvelope(value)) {
+          await inner.write(agentId, key, encrypt(agentId, key, value));
+          result.encrypted++;
+        } else if (value.kid !== keyring.activeId) {
+          await inner.write(agentId, key, rewrap(value));
+          result.rewrapped++;
+        }
+      }
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  createEncryptedAuthStore,
+  isEnvelope,
+  parseKeyring,
+};
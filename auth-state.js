@@ -0,0 +1,367 @@
+// Auth-state storage for Baileys sessions, replacing useMultiFileAuthState.
+//
+// Every driver exposes the same shape (all methods async, values are plain JSON with
+// Buffers encoded through BufferJSON):
+//   { name, read(agentId, key), write(agentId, key, value), remove(agentId, key),
+//     readPrefix(agentId, prefix) -> [[key, value]], listAgents(), clear(agentId),
+//     ping(), close() }
+// Keys are the file names useMultiFileAuthState would use, minus ".json" ("creds",
+// "pre-key-12", "sender-key-123@g.us--456--0"...), so the file layout stays byte
+// compatible and the migration command can copy files verbatim.
+//
+//   file      auth_sessions/<agent_id>/<key>.json (the original layout; needs a volume)
+//   sqlite    one table in a local SQLite file (better-sqlite3)
+//   postgres  one table in Postgres (pg), shareable between replicas
+//   redis     one hash per agent (ioredis), shareable between replicas
+//
+// The database clients are optional dependencies, required only by the driver that uses them.
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { BufferJSON, initAuthCreds, proto } = require('@whiskeysockets/baileys');
+
+const serialize = (value) => JSON.stringify(value, BufferJSON.replacer);
+const deserialize = (raw) => (raw === null || raw === undefined ? null : JSON.parse(raw, BufferJSON.reviver));
+
+// Same escaping as useMultiFileAuthState, so keys double as file names
+function fixKey(key) {
+  return key.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+function requireOptional(moduleName, driver) {
+  try {
+    return require(moduleName);
+  } catch (e) {
+    throw new Error(`AUTH_STORE_DRIVER=${driver} needs the "${moduleName}" package (npm install ${moduleName})`);
+  }
+}
+
+// ─── FILES ───
+
+// The service keeps its own state in the store too (see SHARED SERVICE STATE in server.js):
+// per-agent keys next to the session, and namespaces that never hold creds
+const SERVICE_KEYS = ['message-store', 'message-acks', 'send-counter'];
+const SERVICE_NAMESPACES = ['_api_keys', '_webhook_queue', '_scheduled', '_broadcasts'];
+const SERVICE_FILES = new Set(SERVICE_KEYS); // not part of the session: readPrefix() skips them
+
+function createFileAuthStore({ dir }) {
+  const root = path.resolve(dir);
+  const writes = new Map(); // file -> promise of the last write, so writes to one file never interleave
+
+  const agentDir = (agentId) => path.join(root, agentId);
+  const filePathFor = (agentId, key) => path.join(agentDir(agentId), `${fixKey(key)}.json`);
+
+  const queueWrite = (file, task) => {
+    const next = (writes.get(file) || Promise.resolve()).catch(() => {}).then(task);
+    writes.set(file, next);
+    next.finally(() => {
+      if (writes.get(file) === next) writes.delete(file);
+    }).catch(() => {});
+    return next;
+  };
+
+  return {
+    name: 'file',
+    async read(agentId, key) {
+      try {
+        return deserialize(await fs.readFile(filePathFor(agentId, key), 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    write(agentId, key, value) {
+      const file = filePathFor(agentId, key);
+      return queueWrite(file, async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(`${file}.tmp`, serialize(value), 'utf8');
+        await fs.rename(`${file}.tmp`, file);
+      });
+    },
+    remove(agentId, key) {
+      const file = filePathFor(agentId, key);
+      return queueWrite(file, () => fs.rm(file, { force: true }));
+    },
+    async readPrefix(agentId, prefix) {
+      const dirPath = agentDir(agentId);
+      if (!fsSync.existsSync(dirPath)) return [];
+      const wanted = fixKey(prefix);
+      const entries = [];
+      for (const file of await fs.readdir(dirPath)) {
+        const key = file.slice(0, -'.json'.length);
+        if (!file.startsWith(wanted) || !file.endsWith('.json') || SERVICE_FILES.has(key)) continue;
+        try {
+          entries.push([key, deserialize(await fs.readFile(path.join(dirPath, file), 'utf8'))]);
+        } catch (e) { /* skip unreadable files */ }
+      }
+      return entries;
+    },
+    async listAgents() {
+      if (!fsSync.existsSync(root)) return [];
+      const agents = [];
+      for (const entry of await fs.readdir(root, { withFileTypes: true })) {
+        if (entry.isDirectory() && fsSync.existsSync(path.join(root, entry.name, 'creds.json'))) {
+          agents.push(entry.name);
+        }
+      }
+      return agents;
+    },
+    // The agent directory also holds the service's own per-agent files; they go with it
+    async clear(agentId) {
+      await fs.rm(agentDir(agentId), { recursive: true, force: true });
+    },
+    async ping() {
+      await fs.mkdir(root, { recursive: true });
+      await fs.access(root, fsSync.constants.W_OK);
+    },
+    async close() {
+      await Promise.allSettled(Array.from(writes.values()));
+    },
+  };
+}
+
+// ─── SQLITE ───
+
+function createSqliteAuthStore({ file }) {
+  const Database = requireOptional('better-sqlite3', 'sqlite');
+  fsSync.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS auth_state (
+    agent_id TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (agent_id, key)
+  )`);
+
+  const statements = {
+    read: db.prepare('SELECT value FROM auth_state WHERE agent_id = ? AND key = ?'),
+    write: db.prepare(`INSERT INTO auth_state (agent_id, key, value, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (agent_id, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`),
+    remove: db.prepare('DELETE FROM auth_state WHERE agent_id = ? AND key = ?'),
+    // Prefixes are fixed strings; escape LIKE wildcards rather than trust them
+    readPrefix: db.prepare("SELECT key, value FROM auth_state WHERE agent_id = ? AND key LIKE ? ESCAPE '\\'"),
+    listAgents: db.prepare("SELECT agent_id FROM auth_state WHERE key = 'creds'"),
+    clear: db.prepare('DELETE FROM auth_state WHERE agent_id = ?'),
+  };
+
+  return {
+    name: 'sqlite',
+    async read(agentId, key) {
+      return deserialize(statements.read.get(agentId, fixKey(key))?.value);
+    },
+    async write(agentId, key, value) {
+      statements.write.run(agentId, fixKey(key), serialize(value), Date.now());
+    },
+    async remove(agentId, key) {
+      statements.remove.run(agentId, fixKey(key));
+    },
+    async readPrefix(agentId, prefix) {
+      return statements.readPrefix.all(agentId, `${likeEscape(fixKey(prefix))}%`)
+        .map(row => [row.key, deserialize(row.value)]);
+    },
+    async listAgents() {
+      return statements.listAgents.all().map(row => row.agent_id);
+    },
+    async clear(agentId) {
+      statements.clear.run(agentId);
+    },
+    async ping() {
+      db.prepare('SELECT 1').get();
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
+
+function likeEscape(value) {
+  return value.replace(/[\\%_]/g, c => `\\${c}`);
+}
+
+// ─── POSTGRES ───
+
+function createPostgresAuthStore({ connectionString, table = 'wa_auth_state' }) {
+  if (!connectionString) throw new Error('AUTH_STORE_DRIVER=postgres requires AUTH_STORE_POSTGRES_URL (or DATABASE_URL)');
+  if (!/^[a-z_][a-z0-9_]*$/i.test(table)) throw new Error(`Invalid Postgres table name "${table}"`);
+  const { Pool } = requireOptional('pg', 'postgres');
+  const pool = new Pool({ connectionString, max: 5 });
+  const ready = pool.query(`CREATE TABLE IF NOT EXISTS ${table} (
+    agent_id TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (agent_id, key)
+  )`);
+  // Keep the rejection for the first query instead of an unhandled one at boot
+  ready.catch(() => {});
+
+  const query = async (sql, params) => {
+    await ready;
+    return pool.query(sql, params);
+  };
+
+  return {
+    name: 'postgres',
+    async read(agentId, key) {
+      const { rows } = await query(`SELECT value FROM ${table} WHERE agent_id = $1 AND key = $2`, [agentId, fixKey(key)]);
+      return deserialize(rows[0]?.value);
+    },
+    async write(agentId, key, value) {
+      await query(`INSERT INTO ${table} (agent_id, key, value, updated_at) VALUES ($1, $2, $3, now())
+        ON CONFLICT (agent_id, key) DO UPDATE SET value = EXCLUDED.value, updated_at = now()`,
+      [agentId, fixKey(key), serialize(value)]);
+    },
+    async remove(agentId, key) {
+      await query(`DELETE FROM ${table} WHERE agent_id = $1 AND key = $2`, [agentId, fixKey(key)]);
+    },
+    async readPrefix(agentId, prefix) {
+      const { rows } = await query(`SELECT key, value FROM ${table} WHERE agent_id = $1 AND key LIKE $2`,
+        [agentId, `${likeEscape(fixKey(prefix))}%`]);
+      return rows.map(row => [row.key, deserialize(row.value)]);
+    },
+    async listAgents() {
+      const { rows } = await query(`SELECT agent_id FROM ${table} WHERE key = 'creds'`);
+      return rows.map(row => row.agent_id);
+    },
+    async clear(agentId) {
+      await query(`DELETE FROM ${table} WHERE agent_id = $1`, [agentId]);
+    },
+    async ping() {
+      await query('SELECT 1');
+    },
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+// ─── REDIS ───
+
+function createRedisAuthStore({ url, prefix = 'wa:auth:' }) {
+  if (!url) throw new Error('AUTH_STORE_DRIVER=redis requires AUTH_STORE_REDIS_URL (or REDIS_URL)');
+  const Redis = requireOptional('ioredis', 'redis');
+  const redis = new Redis(url, { maxRetriesPerRequest: 3 });
+  const hashKey = (agentId) => `${prefix}${agentId}`;
+  const agentsKey = `${prefix}_agents`; // set of agents that have creds
+
+  return {
+    name: 'redis',
+    async read(agentId, key) {
+      return deserialize(await redis.hget(hashKey(agentId), fixKey(key)));
+    },
+    async write(agentId, key, value) {
+      const multi = redis.multi().hset(hashKey(agentId), fixKey(key), serialize(value));
+      if (key === 'creds') multi.sadd(agentsKey, agentId);
+      await multi.exec();
+    },
+    async remove(agentId, key) {
+      await redis.hdel(hashKey(agentId), fixKey(key));
+    },
+    async readPrefix(agentId, keyPrefix) {
+      const entries = [];
+      // HSCAN MATCH is a glob: escape its special characters
+      const match = `${fixKey(keyPrefix).replace(/[*?[\]\\]/g, c => `\\${c}`)}*`;
+      let cursor = '0';
+      do {
+        const [next, flat] = await redis.hscan(hashKey(agentId), cursor, 'MATCH', match, 'COUNT', 500);
+        for (let i = 0; i < flat.length; i += 2) entries.push([flat[i], deserialize(flat[i + 1])]);
+        cursor = next;
+      } while (cursor !== '0');
+      return entries;
+    },
+    async listAgents() {
+      return redis.smembers(agentsKey);
+    },
+    async clear(agentId) {
+      await redis.multi().del(hashKey(agentId)).srem(agentsKey, agentId).exec();
+    },
+    async ping() {
+      await redis.ping();
+    },
+    async close() {
+      await redis.quit();
+    },
+  };
+}
+
+function createAuthStore(driver, options) {
+  switch (driver) {
+    case 'file':
+      return createFileAuthStore(options.file);
+    case 'sqlite':
+      return createSqliteAuthStore(options.sqlite);
+    case 'postgres':
+      return createPostgresAuthStore(options.postgres);
+    case 'redis':
+      return createRedisAuthStore(options.redis);
+    default:
+      throw new Error(`Unknown AUTH_STORE_DRIVER "${driver}" (expected file, sqlite, postgres or redis)`);
+  }
+}
+
+// Driver options from the environment; shared by server.js and migrate-auth.js
+function authStoreOptionsFromEnv(env, authDir) {
+  return {
+    file: { dir: authDir },
+    sqlite: { file: env.AUTH_STORE_SQLITE_PATH || path.join(authDir, '_auth-state.sqlite') },
+    postgres: {
+      connectionString: env.AUTH_STORE_POSTGRES_URL || env.DATABASE_URL,
+      table: env.AUTH_STORE_POSTGRES_TABLE || 'wa_auth_state',
+    },
+    redis: {
+      url: env.AUTH_STORE_REDIS_URL || env.REDIS_URL,
+      prefix: env.AUTH_STORE_REDIS_PREFIX || 'wa:auth:',
+    },
+  };
+}
+
+// Drop-in replacement for useMultiFileAuthState(folder) on top of any store
+async function useAuthState(store, agentId) {
+  const creds = (await store.read(agentId, 'creds')) || initAuthCreds();
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          await Promise.all(ids.map(async (id) => {
+            let value = await store.read(agentId, `${type}-${id}`);
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }));
+          return data;
+        },
+        set: async (data) => {
+          const tasks = [];
+          for (const category in data) {
+            for (const id in data[category]) {
+              const value = data[category][id];
+              const key = `${category}-${id}`;
+              tasks.push(value ? store.write(agentId, key, value) : store.remove(agentId, key));
+            }
+          }
+          await Promise.all(tasks);
+        },
+      },
+    },
+    saveCreds: () => store.write(agentId, 'creds', creds),
+  };
+}
+
+module.exports = {
+  authStoreOptionsFromEnv,
+  createAuthStore,
+  createFileAuthStore,
+  createPostgresAuthStore,
+  createRedisAuthStore,
+  createSqliteAuthStore,
+  fixKey,
+  SERVICE_KEYS,
+  SERVICE_NAMESPACES,
+  useAuthState,
+};
@@ -0,0 +1,137 @@
+// Structured JSON logging (pino) with phone/body redaction and per-agent levels.
+//
+//   const logging = createLogging({ level: 'info', baileysLevel: 'silent', redact: true });
+//   logging.log.info({ event: 'server.started' }, 'Listening');
+//   logging.forAgent(agentId).warn({ event: 'webhook.failed', err }, 'Webhook failed');
+//   logging.baileysFor(agentId)   // pass to makeWASocket({ logger })
+//
+// With redaction on, message bodies (body, content, text, caption) are replaced and
+// phone-like digit runs in the message and in phone/JID fields keep only their last 4
+// digits, e.g. 5215512345678@s.whatsapp.net -> *********5678@s.whatsapp.net.
+// Credentials passed in query strings (?access_token=) are masked whether or not
+// redaction is on.
+
+const pino = require('pino');
+
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal', 'silent'];
+const BODY_PATHS = ['body', 'content', 'text', 'caption', '*.body', '*.content', '*.text', '*.caption'];
+const PHONE_FIELDS = ['phone', 'phone_number', 'to', 'jid', 'remote_jid', 'from', 'participant', 'lid', 'number', 'target'];
+// 7+ digits not glued to letters (so message ids like 3EB0A1B2C3D4 are left alone)
+const PHONE_PATTERN = /(?<![A-Za-z0-9])\+?\d{7,}(?![A-Za-z0-9])/g;
+const ACCESS_TOKEN_PATTERN = /([?&]access_token=)[^&#\s"']+/g;
+
+function maskPhones(value) {
+  if (typeof value !== 'string') return value;
+  return value.replace(PHONE_PATTERN, (m) => '*'.repeat(m.length - 4) + m.slice(-4));
+}
+
+function maskAccessTokens(value) {
+  if (typeof value !== 'string') return value;
+  return value.replace(ACCESS_TOKEN_PATTERN, '$1[redacted]');
+}
+
+function isValidLevel(level) {
+  return LEVELS.includes(level);
+}
+
+function createLogging({ level = 'info', baileysLevel = 'silent', redact = true, destination } = {}) {
+  const root = pino({
+    level,
+    base: { service: 'whatsapp-baileys' },
+    timestamp: pino.stdTimeFunctions.isoTime,
+    formatters: {
+      level: (label) => ({ level: label }),
+      log(object) {
+        if (typeof object.url === 'string') object.url = maskAccessTokens(object.url);
+        if (!redact) return object;
+        for (const field of PHONE_FIELDS) {
+          if (typeof object[field] === 'string') object[field] = maskPhones(object[field]);
+        }
+        return object;
+      },
+    },
+    hooks: {
+      // Mask the free-text message too: it is where most numbers (and URLs) end up
+      logMethod(args, method) {
+        for (let i = 0; i < args.length; i++) {
+          args[i] = maskAccessTokens(redact ? maskPhones(args[i]) : args[i]);
+        }
+        return method.apply(this, args);
+      },
+    },
+    ...(redact && { redact: { paths: BODY_PATHS, censor: '[redacted]' } }),
+  }, destination);
+
+  let defaultBaileysLevel = baileysLevel;
+  const agentLoggers = new Map(); // agentId -> child logger
+  const baileysLoggers = new Map(); // agentId -> child logger handed to Baileys
+  const overrides = new Map(); // agentId -> { level?, baileys_level? }
+
+  function forAgent(agentId) {
+    if (!agentId) return root;
+    let child = agentLoggers.get(agentId);
+    if (!child) {
+      child = root.child({ agent_id: agentId });
+      child.level = overrides.get(agentId)?.level || root.level;
+      agentLoggers.set(agentId, child);
+    }
+    return child;
+  }
+
+  // Baileys keeps (and derives children from) the logger it was created with, so a
+  // level change reaches its internal loggers fully on the next (re)connect
+  function baileysFor(agentId) {
+    let child = baileysLoggers.get(agentId);
+    if (!child) {
+      child = root.child({ agent_id: agentId, component: 'baileys' });
+      child.level = overrides.get(agentId)?.baileys_level || defaultBaileysLevel;
+      baileysLoggers.set(agentId, child);
+    }
+    return child;
+  }
+
+  function setLevel(newLevel) {
+    root.level = newLevel;
+    for (const [agentId, child] of agentLoggers) {
+      if (!overrides.get(agentId)?.level) child.level = newLevel;
+    }
+  }
+
+  function setBaileysLevel(newLevel) {
+    defaultBaileysLevel = newLevel;
+    for (const [agentId, child] of baileysLoggers) {
+      if (!overrides.get(agentId)?.baileys_level) child.level = newLevel;
+    }
+  }
+
+  // { level, baileys_level }: a value sets the override, null clears it
+  function setAgentLevels(agentId, changes) {
+    const current = { ...overrides.get(agentId) };
+    for (const key of ['level', 'baileys_level']) {
+      if (changes[key] === null) delete current[key];
+      else if (changes[key] !== undefined) current[key] = changes[key];
+    }
+    if (Object.keys(current).length > 0) overrides.set(agentId, current);
+    else overrides.delete(agentId);
+    forAgent(agentId).level = current.level || root.level;
+    baileysFor(agentId).level = current.baileys_level || defaultBaileysLevel;
+  }
+
+  function describe() {
+    return {
+      level: root.level,
+      baileys_level: defaultBaileysLevel,
+      redact,
+      agents: Object.fromEntries(overrides),
+    };
+  }
+
+  return { log: root, forAgent, baileysFor, setLevel, setBaileysLevel, setAgentLevels, describe };
+}
+
+module.exports = {
+  LEVELS,
+  createLogging,
+  isValidLevel,
+  maskPhones,
+};
@@ -0,0 +1,212 @@
+// Media storage drivers for inbound WhatsApp media.
+//
+// Every driver exposes the same shape:
+//   { name, upload(key, buffer, mimetype) -> Promise<{ url, key }> }
+// `key` is "<agent_id>/<file name>". Drivers throw on failure; the caller decides
+// what to fall back to.
+//
+//   local     files under a directory, served by this service over signed, expiring URLs
+//   s3        any S3-compatible bucket (AWS, R2, MinIO...), SigV4-signed with no SDK
+//   supabase  Supabase Storage bucket (the original behaviour)
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+// Keys are generated by the service, but they also come back through the /media route
+const SAFE_KEY = /^[\w.-]+\/[\w.+-]+$/;
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// ─── LOCAL FILESYSTEM ───
+
+function createLocalStorage({ dir, baseUrl, secret, ttlSeconds }) {
+  const root = path.resolve(dir);
+
+  const signature = (key, expires) => crypto
+    .createHmac('sha256', secret)
+    .update(`${key}:${expires}`)
+    .digest('hex');
+
+  const signedUrl = (key) => {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return `${baseUrl.replace(/\/$/, '')}/media/${key}?expires=${expires}&sig=${signature(key, expires)}`;
+  };
+
+  const filePathFor = (key) => {
+    if (!SAFE_KEY.test(key)) return null;
+    const filePath = path.resolve(root, key);
+    return filePath.startsWith(root + path.sep) ? filePath : null;
+  };
+
+  return {
+    name: 'local',
+    async upload(key, buffer) {
+      const filePath = filePathFor(key);
+      if (!filePath) throw new Error(`Invalid media key: ${key}`);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { key, url: signedUrl(key) };
+    },
+    signedUrl,
+    // Returns the file path for a valid, unexpired signature; null otherwise
+    verify(key, expires, sig) {
+      const filePath = filePathFor(key);
+      const exp = parseInt(expires, 10);
+      if (!filePath || !sig || !Number.isFinite(exp) || exp < Math.floor(Date.now() / 1000)) return null;
+      const expected = Buffer.from(signature(key, exp), 'hex');
+      const received = Buffer.from(String(sig), 'hex');
+      if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) return null;
+      return fsSync.existsSync(filePath) ? filePath : null;
+    },
+    // Delete files older than maxAgeMs; returns how many were removed
+    async prune(maxAgeMs) {
+      if (!fsSync.existsSync(root)) return 0;
+      const cutoff = Date.now() - maxAgeMs;
+      let removed = 0;
+      for (const agentDir of await fs.readdir(root)) {
+        const agentPath = path.join(root, agentDir);
+        if (!(await fs.stat(agentPath)).isDirectory()) continue;
+        for (const file of await fs.readdir(agentPath)) {
+          const filePath = path.join(agentPath, file);
+          const stat = await fs.stat(filePath);
+          if (stat.mtimeMs < cutoff) {
+            await fs.rm(filePath, { force: true });
+            removed++;
+          }
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+// ─── S3-COMPATIBLE ───
+
+function createS3Storage({ endpoint, region, bucket, accessKeyId, secretAccessKey, publicUrl, ttlSeconds }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  const base = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+  // Path-style addressing works for AWS, R2 and MinIO alike
+  const objectUrl = (key) => new URL(`${base}/${bucket}/${key.split('/').map(encodeRfc3986).join('/')}`);
+
+  const scope = (date) => `${date}/${region}/s3/aws4_request`;
+  const signingKey = (date) => {
+    const kDate = hmac(`AWS4${secretAccessKey}`, date);
+    return hmac(hmac(hmac(kDate, region), 's3'), 'aws4_request');
+  };
+  const amzDates = (now = new Date()) => {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    return { amzDate, date: amzDate.slice(0, 8) };
+  };
+  const sign = (date, amzDate, canonicalRequest) => {
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope(date), sha256Hex(canonicalRequest)].join('\n');
+    return crypto.createHmac('sha256', signingKey(date)).update(stringToSign).digest('hex');
+  };
+
+  const presignedGetUrl = (key, expiresIn = ttlSeconds, now = new Date()) => {
+    const url = objectUrl(key);
+    const { amzDate, date } = amzDates(now);
+    const params = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${accessKeyId}/${scope(date)}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(Math.min(expiresIn, 7 * 24 * 3600)), // SigV4 maximum is 7 days
+      'X-Amz-SignedHeaders': 'host',
+    };
+    const query = Object.keys(params).sort()
+      .map(k => `${encodeRfc3986(k)}=${encodeRfc3986(params[k])}`)
+      .join('&');
+    const canonicalRequest = ['GET', url.pathname, query, `host:${url.host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+    return `${url.origin}${url.pathname}?${query}&X-Amz-Signature=${sign(date, amzDate, canonicalRequest)}`;
+  };
+
+  return {
+    name: 's3',
+    async upload(key, buffer, mimetype) {
+      const url = objectUrl(key);
+      const { amzDate, date } = amzDates();
+      const payloadHash = sha256Hex(buffer);
+      const contentType = mimetype || 'application/octet-stream';
+      const canonicalHeaders = `content-type:${contentType}\nhost:${url.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`;
+      const signedHeaders = 'content-type;host;x-amz-content-sha256;x-amz-date';
+      const canonicalRequest = ['PUT', url.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+      const response = await fetch(url, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': contentType,
+          'x-amz-content-sha256': payloadHash,
+          'x-amz-date': amzDate,
+          'Authorization': `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope(date)}, SignedHeaders=${signedHeaders}, Signature=${sign(date, amzDate, canonicalRequest)}`,
+        },
+        body: buffer,
+      });
+      if (!response.ok) {
+        throw new Error(`S3 upload failed: HTTP ${response.status} ${(await response.text()).substring(0, 300)}`);
+      }
+      const objectLink = publicUrl
+        ? `${publicUrl.replace(/\/$/, '')}/${key}`
+        : presignedGetUrl(key);
+      return { key, url: objectLink };
+    },
+    presignedGetUrl,
+  };
+}
+
+// ─── SUPABASE STORAGE ───
+
+function createSupabaseStorage({ supabaseUrl, bucket, serviceKey }) {
+  const base = supabaseUrl.replace(/\/$/, '');
+  return {
+    name: 'supabase',
+    async upload(key, buffer, mimetype) {
+      // Bucket layout predates per-agent keys: keep files at the bucket root
+      const fileName = path.basename(key);
+      const response = await fetch(`${base}/storage/v1/object/${bucket}/${fileName}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${serviceKey}`,
+          'Content-Type': mimetype || 'application/octet-stream',
+        },
+        body: buffer,
+      });
+      if (!response.ok) {
+        throw new Error(`Supabase upload failed: HTTP ${response.status} ${(await response.text()).substring(0, 300)}`);
+      }
+      return { key, url: `${base}/storage/v1/object/public/${bucket}/${fileName}` };
+    },
+  };
+}
+
+function createMediaStorage(driver, options) {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage(options.local);
+    case 's3':
+      return createS3Storage(options.s3);
+    case 'supabase':
+      return createSupabaseStorage(options.supabase);
+    default:
+      throw new Error(`Unknown MEDIA_STORAGE_DRIVER "${driver}" (expected local, s3 or supabase)`);
+  }
+}
+
+module.exports = {
+  createMediaStorage,
+  createLocalStorage,
+  createS3Storage,
+  createSupabaseStorage,
+};
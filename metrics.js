@@ -0,0 +1,126 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4).
+//
+//   const registry = createRegistry();
+//   const sent = registry.counter('wa_messages_total', 'Messages', ['direction', 'type']);
+//   sent.inc({ direction: 'outbound', type: 'text' });
+//   registry.gauge('wa_sessions', 'Sessions by state', ['state'], () => [[{ state: 'open' }, 3]]);
+//   res.type(CONTENT_TYPE).send(registry.render());
+//
+// Gauges may take a collect() callback that is evaluated on every scrape, so values
+// that already live in Maps elsewhere never go stale.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, v]) => v !== undefined && v !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(n => (labels[n] === undefined ? '' : String(labels[n]))));
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some(m => m.name === metric.name)) throw new Error(`Metric ${metric.name} already registered`);
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map(); // key -> { labels, value }
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+      lines() {
+        return Array.from(series.values()).map(s => `${name}${formatLabels(s.labels)} ${s.value}`);
+      }
+    });
+  }
+
+  function gauge(name, help, labelNames = [], collect = null) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      set(labels, value) {
+        series.set(seriesKey(labelNames, labels), { labels, value });
+      },
+      lines() {
+        const rows = collect
+          ? collect().map(([labels, value]) => ({ labels, value }))
+          : Array.from(series.values());
+        return rows.map(s => `${name}${formatLabels(s.labels)} ${s.value}`);
+      }
+    });
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // key -> { labels, counts[], sum, count }
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      lines() {
+        const out = [];
+        for (const s of series.values()) {
+          buckets.forEach((le, i) => {
+            out.push(`${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`);
+          });
+          out.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+          out.push(`${name}_sum${formatLabels(s.labels)} ${s.sum}`);
+          out.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+        }
+        return out;
+      }
+    });
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      out.push(`# HELP ${m.name} ${m.help}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+      out.push(...m.lines());
+    }
+    return `${out.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createRegistry,
+};
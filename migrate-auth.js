@@ -0,0 +1,151 @@
+// Copy auth_sessions/<agent_id> directories into another auth-state driver.
+//
+//   AUTH_STORE_DRIVER=postgres AUTH_STORE_POSTGRES_URL=postgres://... npm run migrate-auth
+//   npm run migrate-auth -- --to redis --agent agent-123 --dry-run
+//   AUTH_ENCRYPTION_KEY=... npm run migrate-auth -- --encrypt
+//
+// Reads creds and signal keys (and the LID mapping files) with the file driver and writes
+// them unchanged into the target, so a session comes up there without a new QR. The
+// service's own state goes along: each agent's message store, acks and send counter, and
+// (unless --agent is given) the API keys, webhook queues, scheduled jobs and broadcasts. The source
+// files are left in place; delete them once the service runs on the new driver. Stop the
+// service first: a running socket keeps rewriting keys while they are being copied.
+// Encrypted entries are copied as they are and need the same keys on the other side.
+//
+// --encrypt works in place on the configured store instead: it encrypts plaintext entries
+// with AUTH_ENCRYPTION_KEY and rewraps entries under AUTH_ENCRYPTION_PREVIOUS_KEYS, so the
+// previous keys can be dropped without waiting for every session to be loaded once. Without
+// --agent it also converts the service's namespaces (API keys, webhook queues, jobs).
+
+const path = require('path');
+const { createAuthStore, createFileAuthStore, authStoreOptionsFromEnv, SERVICE_KEYS, SERVICE_NAMESPACES } = require('./auth-state');
+const { createEncryptedAuthStore, parseKeyring } = require('./auth-encryption');
+
+const AUTH_DIR = path.join(__dirname, 'auth_sessions');
+
+function parseArgs(argv) {
+  const args = { to: process.env.AUTH_STORE_DRIVER, agents: [], dryRun: false, overwrite: false, encrypt: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--to') args.to = argv[++i];
+    else if (arg === '--agent') args.agents.push(argv[++i]);
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--overwrite') args.overwrite = true;
+    else if (arg === '--encrypt') args.encrypt = true;
+    else throw new Error(`Unknown argument "${arg}" (expected --to <driver>, --agent <id>, --dry-run, --overwrite, --encrypt)`);
+  }
+  return args;
+}
+
+async function migrateAgent(source, target, agentId, { dryRun, overwrite }) {
+  if (!overwrite && await target.read(agentId, 'creds')) {
+    return { agentId, skipped: 'already in target (use --overwrite)' };
+  }
+  // readPrefix('') lists every entry of the session; the file driver leaves out the service's keys
+  const entries = await source.readPrefix(agentId, '');
+  for (const key of SERVICE_KEYS) {
+    const value = await source.read(agentId, key);
+    if (value !== null) entries.push([key, value]);
+  }
+  if (!dryRun) {
+    // creds last: a target that has creds is a complete copy (that's what restore looks for)
+    for (const [key, value] of entries) {
+      if (key !== 'creds') await target.write(agentId, key, value);
+    }
+    const creds = entries.find(([key]) => key === 'creds');
+    if (creds) await target.write(agentId, 'creds', creds[1]);
+  }
+  return { agentId, keys: entries.length };
+}
+
+// Entries already in the target are kept unless --overwrite
+async function migrateServiceNamespaces(source, target, { dryRun, overwrite }) {
+  let copied = 0;
+  for (const namespace of SERVICE_NAMESPACES) {
+    for (const [key, value] of await source.readPrefix(namespace, '')) {
+      if (!overwrite && (await target.read(namespace, key)) !== null) continue;
+      if (!dryRun) await target.write(namespace, key, value);
+      copied++;
+    }
+  }
+  return copied;
+}
+
+async function encryptInPlace(args) {
+  const keyring = parseKeyring(process.env.AUTH_ENCRYPTION_KEY, process.env.AUTH_ENCRYPTION_PREVIOUS_KEYS);
+  if (!keyring.activeId) throw new Error('--encrypt needs AUTH_ENCRYPTION_KEY');
+  const store = createEncryptedAuthStore(
+    createAuthStore(args.to || 'file', authStoreOptionsFromEnv(process.env, AUTH_DIR)),
+    keyring
+  );
+  try {
+    const agents = args.agents.length > 0 ? args.agents : await store.listAgents();
+    console.log(`Encrypting ${agents.length} session(s) in ${store.name} with key ${keyring.activeId}`);
+    let failed = 0;
+    for (const agentId of agents) {
+      try {
+        const { encrypted, rewrapped } = await store.encryptAgent(agentId);
+        console.log(`  ${agentId}: ${encrypted} encrypted, ${rewrapped} rewrapped`);
+      } catch (e) {
+        failed++;
+        console.error(`  ${agentId}: FAILED, ${e.message}`);
+      }
+    }
+    if (args.agents.length === 0) {
+      for (const namespace of SERVICE_NAMESPACES) {
+        try {
+          const { encrypted, rewrapped } = await store.encryptAgent(namespace);
+          console.log(`  ${namespace}: ${encrypted} encrypted, ${rewrapped} rewrapped`);
+        } catch (e) {
+          failed++;
+          console.error(`  ${namespace}: FAILED, ${e.message}`);
+        }
+      }
+    }
+    if (failed > 0) process.exitCode = 1;
+  } finally {
+    await store.close();
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.encrypt) return encryptInPlace(args);
+  if (!args.to || args.to === 'file') {
+    throw new Error('Choose a target driver other than file: --to sqlite|postgres|redis or AUTH_STORE_DRIVER');
+  }
+
+  const source = createFileAuthStore({ dir: AUTH_DIR });
+  const target = createAuthStore(args.to, authStoreOptionsFromEnv(process.env, AUTH_DIR));
+  try {
+    const agents = args.agents.length > 0 ? args.agents : await source.listAgents();
+    console.log(`${args.dryRun ? '[dry run] ' : ''}Migrating ${agents.length} session(s) from ${AUTH_DIR} to ${target.name}`);
+    let failed = 0;
+    for (const agentId of agents) {
+      try {
+        const result = await migrateAgent(source, target, agentId, args);
+        console.log(result.skipped ? `  ${agentId}: skipped, ${result.skipped}` : `  ${agentId}: ${result.keys} keys`);
+      } catch (e) {
+        failed++;
+        console.error(`  ${agentId}: FAILED, ${e.message}`);
+      }
+    }
+    if (args.agents.length === 0) {
+      try {
+        const copied = await migrateServiceNamespaces(source, target, args);
+        console.log(`  service state (API keys, webhook queues, jobs): ${copied} entries`);
+      } catch (e) {
+        failed++;
+        console.error(`  service state: FAILED, ${e.message}`);
+      }
+    }
+    if (failed > 0) process.exitCode = 1;
+  } finally {
+    await target.close();
+  }
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
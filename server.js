@@ -5,13 +5,28 @@ if (!globalThis.crypto) {
 }
 
 const express = require('express');
-const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, downloadMediaMessage, downloadContentFromMessage, fetchLatestBaileysVersion } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, DisconnectReason, downloadMediaMessage, downloadContentFromMessage, fetchLatestBaileysVersion, BufferJSON, decryptPollVote, jidNormalizedUser } = require('@whiskeysockets/baileys');
 const QRCode = require('qrcode');
 const cors = require('cors');
+const multer = require('multer');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
-const pino = require('pino');
+const os = require('os');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { Readable } = require('stream');
+const { signWebhookPayload } = require('./webhook-signature');
+const { createMediaStorage } = require('./media-storage');
+const { createAuthStore, authStoreOptionsFromEnv, useAuthState, SERVICE_KEYS, SERVICE_NAMESPACES } = require('./auth-state');
+const { createEncryptedAuthStore, parseKeyring } = require('./auth-encryption');
+const { createLeaseStore } = require('./session-leases');
+const { openArchive, sealArchive } = require('./session-archive');
+const { createRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { LEVELS: LOG_LEVELS, createLogging, isValidLevel } = require('./logging');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -22,23 +37,82 @@ const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || 'your-secret-key-here';
 const MICROSERVICE_SECRET = process.env.MICROSERVICE_SECRET || 'your-secret-key-here';
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS || '*';
 const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || '';
+// Webhooks are HMAC-signed (see webhook-signature.js). The legacy static bearer header
+// is still sent while WEBHOOK_BEARER_COMPAT is on, so existing edge functions keep working.
+const WEBHOOK_SIGNING_SECRET = process.env.WEBHOOK_SIGNING_SECRET || WEBHOOK_SECRET;
+const WEBHOOK_BEARER_COMPAT = (process.env.WEBHOOK_BEARER_COMPAT || 'true') !== 'false';
 
 // ⚙️ OPTIMIZATION SETTINGS (same as before)
 const MAX_CONCURRENT_SESSIONS = parseInt(process.env.MAX_CLIENTS || '100', 10);
 const QR_TIMEOUT_MS = 3 * 60 * 1000; // 3 minutes to scan QR
 const CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // Cleanup every 5 minutes
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '5000', 10); // doubles per attempt
+const WEBHOOK_RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS || String(30 * 60 * 1000), 10);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '15000', 10);
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES || String(64 * 1024 * 1024), 10); // 64MB cap for /send-media
+const MEDIA_DOWNLOAD_TIMEOUT_MS = parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS || '60000', 10);
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '100mb'; // base64 inflates media by ~4/3; /send-media and /import only
+const MEDIA_URL_ALLOWED_HOSTS = (process.env.MEDIA_URL_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+const MEDIA_URL_MAX_REDIRECTS = 5;
+const MEDIA_BASE64_FALLBACK_MAX = parseInt(process.env.MEDIA_BASE64_FALLBACK_MAX || String(8 * 1024 * 1024), 10);
+const SEND_RATE_PER_MINUTE = parseInt(process.env.SEND_RATE_PER_MINUTE || '20', 10);
+const SEND_MIN_DELAY_MS = parseInt(process.env.SEND_MIN_DELAY_MS || '1500', 10);
+const SEND_JITTER_MS = parseInt(process.env.SEND_JITTER_MS || '2000', 10);
+const SEND_DAILY_CAP = parseInt(process.env.SEND_DAILY_CAP || '1000', 10); // 0 = unlimited
+const SEND_QUEUE_MAX = parseInt(process.env.SEND_QUEUE_MAX || '500', 10);
+const SEND_QUEUE_MAX_BYTES = parseInt(process.env.SEND_QUEUE_MAX_BYTES || String(256 * 1024 * 1024), 10); // media held by pending sends, per agent
+const SEND_TYPING_SIMULATION = (process.env.SEND_TYPING_SIMULATION || 'true') !== 'false';
+const SEND_TYPING_MS_PER_CHAR = parseInt(process.env.SEND_TYPING_MS_PER_CHAR || '40', 10);
+const SEND_TYPING_MAX_MS = parseInt(process.env.SEND_TYPING_MAX_MS || '5000', 10);
+const SCHEDULE_RETRY_MS = parseInt(process.env.SCHEDULE_RETRY_MS || String(60 * 1000), 10);
+const SCHEDULE_MAX_ATTEMPTS = parseInt(process.env.SCHEDULE_MAX_ATTEMPTS || '3', 10);
+const SCHEDULE_MAX_LATENESS_MS = parseInt(process.env.SCHEDULE_MAX_LATENESS_MS || String(6 * 60 * 60 * 1000), 10);
+const SCHEDULE_RETENTION_MS = parseInt(process.env.SCHEDULE_RETENTION_MS || String(7 * 24 * 60 * 60 * 1000), 10);
+const BROADCAST_MAX_RECIPIENTS = parseInt(process.env.BROADCAST_MAX_RECIPIENTS || '5000', 10);
+const BROADCAST_VALIDATE_BATCH = parseInt(process.env.BROADCAST_VALIDATE_BATCH || '50', 10);
+const BROADCAST_MAX_PAUSE_MS = parseInt(process.env.BROADCAST_MAX_PAUSE_MS || String(15 * 60 * 1000), 10);
+const READINESS_WEBHOOK_TIMEOUT_MS = parseInt(process.env.READINESS_WEBHOOK_TIMEOUT_MS || '3000', 10);
+const READINESS_WEBHOOK_CACHE_MS = parseInt(process.env.READINESS_WEBHOOK_CACHE_MS || '30000', 10);
+const RECONNECT_MAX_ATTEMPTS = parseInt(process.env.RECONNECT_MAX_ATTEMPTS || '5', 10); // 0 = never give up
+const RECONNECT_BASE_DELAY_MS = parseInt(process.env.RECONNECT_BASE_DELAY_MS || '3000', 10); // doubles per attempt
+const RECONNECT_MAX_DELAY_MS = parseInt(process.env.RECONNECT_MAX_DELAY_MS || '60000', 10);
+const RECONNECT_JITTER = parseFloat(process.env.RECONNECT_JITTER || '0.2'); // ± fraction of the delay
+const RECONNECT_COOLDOWN_MS = parseInt(process.env.RECONNECT_COOLDOWN_MS || '30000', 10); // min gap after a successful connect
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '10000', 10);
+const SESSION_EXPORT_PASSPHRASE = process.env.SESSION_EXPORT_PASSPHRASE || ''; // default for /export and /import
+const STORE_MAX_MESSAGES_PER_CHAT = parseInt(process.env.STORE_MAX_MESSAGES_PER_CHAT || '500', 10);
 
-// Baileys logger (silent to reduce noise)
-const logger = pino({ level: 'silent' });
+// Structured JSON logs (see logging.js). LOG_LEVEL is the global level; Baileys' own
+// logs stay silent unless BAILEYS_LOG_LEVEL (or a per-agent override via /logging) says otherwise.
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const BAILEYS_LOG_LEVEL = process.env.BAILEYS_LOG_LEVEL || 'silent';
+const LOG_REDACT = (process.env.LOG_REDACT || 'true') !== 'false';
+const logging = createLogging({ level: LOG_LEVEL, baileysLevel: BAILEYS_LOG_LEVEL, redact: LOG_REDACT });
+const log = logging.log;
+const agentLog = logging.forAgent;
 
 // Middleware
 app.use(cors({ origin: ALLOWED_ORIGINS }));
-app.use(express.json());
+// Bodies are parsed before auth, so the default 100kb limit applies everywhere except the
+// routes that take base64 media or long recipient lists; those parse after requireScope()
+const parseLargeJson = express.json({ limit: JSON_BODY_LIMIT });
+const parseBroadcastJson = express.json({ limit: '10mb' }); // BROADCAST_MAX_RECIPIENTS entries with their variables
+const parseJson = express.json();
+const LARGE_JSON_ROUTES = /^\/(send-media|broadcast|import\/[^/]+)\/?$/;
+app.use((req, res, next) => (LARGE_JSON_ROUTES.test(req.path) ? next() : parseJson(req, res, next)));
+// Keep-alive connections can still deliver requests after server.close()
+app.use((req, res, next) => {
+  if (!shuttingDown) return next();
+  res.set('Connection', 'close');
+  res.status(503).json({ error: 'Service is shutting down' });
+});
 
 // Storage for clients, QR codes, timeouts, and stores
 const clients = new Map();      // agentId -> { sock, store, saveCreds }
 const qrCodes = new Map();      // agentId -> base64 QR image
 const qrTimeouts = new Map();   // agentId -> timeout handle
+const pairingCodes = new Map(); // agentId -> { code, phone_number, expires_at } (pairing-code login)
 const clientStates = new Map(); // agentId -> 'connecting' | 'open' | 'close'
 const reconnectAttempts = new Map(); // agentId -> reconnect attempt count
 const sentMessages = new Map();     // messageId -> { conversation: content } for retry decryption
@@ -46,11 +120,15 @@ const lastEdgeFunctionNotify = new Map(); // agentId -> timestamp of last edge f
 const isFirstConnection = new Map();      // agentId -> boolean (true if QR was just scanned)
 const lidToPhoneCache = new Map();        // agentId -> Map<lidJid, phoneJid> in-memory LID resolution cache
 
-const MAX_RECONNECT_ATTEMPTS = 5;
 const MAX_SENT_MESSAGES_CACHE = 1000;
-const RECONNECT_COOLDOWN_MS = 30000; // Min 30s between reconnections
 const EDGE_NOTIFY_COOLDOWN_MS = 60 * 60 * 1000; // 60 minutes between edge function notifications
 const lastSuccessfulConnect = new Map(); // agentId -> timestamp
+const lastDisconnects = new Map();       // agentId -> { status_code, reason, message, at } of the last close
+const lastInboundAt = new Map();         // agentId -> timestamp of the last message received
+const suspendedSessions = new Map();     // agentId -> { reason, status_code, message, attempts, suspended_at }
+let sessionsRestored = false;            // true once restoreSessions() has run at boot
+let shuttingDown = false;                // set by gracefulShutdown(); stops reconnects and new work
+const pendingCredsWrites = new Set();    // in-flight saveCreds() promises
 
 // Auth sessions directory
 const AUTH_DIR = path.join(__dirname, 'auth_sessions');
@@ -60,16 +138,318 @@ if (!fsSync.existsSync(AUTH_DIR)) {
   fsSync.mkdirSync(AUTH_DIR, { recursive: true });
 }
 
+// Baileys creds/keys and LID mappings live in AUTH_STORE_DRIVER (file | sqlite | postgres | redis,
+// see auth-state.js), and so does the service's own state (see SHARED SERVICE STATE below).
+// `npm run migrate-auth` copies existing auth_sessions/<agent_id> directories into another driver.
+// With AUTH_ENCRYPTION_KEY set every entry is envelope-encrypted (see auth-encryption.js).
+const AUTH_STORE_DRIVER = process.env.AUTH_STORE_DRIVER || 'file';
+const authStore = createEncryptedAuthStore(
+  createAuthStore(AUTH_STORE_DRIVER, authStoreOptionsFromEnv(process.env, AUTH_DIR)),
+  parseKeyring(process.env.AUTH_ENCRYPTION_KEY, process.env.AUTH_ENCRYPTION_PREVIOUS_KEYS)
+);
+const encryptionCheckedAgents = new Set(); // agents whose entries were checked by encryptAgent() this run
+
+// ─── SHARED SERVICE STATE ───
+// Everything the service persists besides the sessions goes through authStore too, so
+// replicas sharing a postgres/redis store see the same API keys, queues and jobs:
+//   <agent_id>       message-store, message-acks, send-counter (next to the session)
+//   _api_keys        <key_id>
+//   _webhook_queue   <agent_id>/pending/<delivery_id>, <agent_id>/dead/<delivery_id>
+//   _scheduled       <agent_id>/<job_id>
+//   _broadcasts      <agent_id>/<job_id>
+// The _ namespaces never hold creds, so restoreSessions() never mistakes them for agents.
+// With the file driver the per-agent keys are the same files as always.
+const STORE_KEY = 'message-store';
+const ACKS_KEY = 'message-acks';
+const SEND_COUNTER_KEY = 'send-counter';
+const API_KEYS_NS = '_api_keys';
+const WEBHOOK_QUEUE_NS = '_webhook_queue';
+const SCHEDULE_NS = '_scheduled';
+const BROADCAST_NS = '_broadcasts';
+
+// Helper: values stored under `<agent_id>/<sub>` in a namespace (every agent without agentId).
+// Prefixes can't tell "ab" from "ab/c", so the agent_id inside the value decides.
+async function readNamespace(namespace, agentId = null, sub = '') {
+  const entries = await authStore.readPrefix(namespace, agentId ? `${agentId}/${sub}` : '');
+  return entries.map(([, value]) => value).filter(v => v && (!agentId || v.agent_id === agentId));
+}
+
+// Until this layout, these were plain JSON files: one folder per agent under
+// _webhook_queue/_scheduled/_broadcasts, every key in _api_keys.json, and (whatever the
+// driver) message-store.json & co. in the agent directory. Move them into the store once.
+async function importLegacyServiceState() {
+  let imported = 0;
+  const importFile = async (file, namespace, key) => {
+    try {
+      const value = JSON.parse(await fs.readFile(file, 'utf8'), BufferJSON.reviver);
+      // Another replica may have imported its own copy first: the store wins
+      if ((await authStore.read(namespace, key)) === null) await authStore.write(namespace, key, value);
+      await fs.rm(file, { force: true });
+      imported++;
+      return true;
+    } catch (e) {
+      log.warn({ event: 'state.import_failed', file, err: e }, 'Could not import legacy state file');
+      return false;
+    }
+  };
+
+  const apiKeysFile = path.join(AUTH_DIR, '_api_keys.json');
+  if (fsSync.existsSync(apiKeysFile)) {
+    try {
+      const list = JSON.parse(await fs.readFile(apiKeysFile, 'utf8'));
+      for (const key of Array.isArray(list) ? list : []) {
+        if (!key?.id || !key?.hash || (await authStore.read(API_KEYS_NS, key.id)) !== null) continue;
+        await authStore.write(API_KEYS_NS, key.id, key);
+        imported++;
+      }
+      await fs.rm(apiKeysFile, { force: true });
+    } catch (e) {
+      log.error({ event: 'state.import_failed', file: apiKeysFile, err: e }, 'Could not import legacy API keys');
+    }
+  }
+
+  const nested = [[WEBHOOK_QUEUE_NS, ['pending', 'dead']], [SCHEDULE_NS, ['']], [BROADCAST_NS, ['']]];
+  for (const [namespace, folders] of nested) {
+    const root = path.join(AUTH_DIR, namespace);
+    if (!fsSync.existsSync(root)) continue;
+    // Loose <key>.json files are the file driver's own layout; only folders are legacy
+    for (const entry of await fs.readdir(root, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      let complete = true;
+      for (const folder of folders) {
+        const dir = path.join(root, entry.name, folder);
+        if (!fsSync.existsSync(dir)) continue;
+        for (const file of await fs.readdir(dir)) {
+          if (!file.endsWith('.json')) continue;
+          const key = path.posix.join(entry.name, folder, file.slice(0, -'.json'.length));
+          if (!(await importFile(path.join(dir, file), namespace, key))) complete = false;
+        }
+      }
+      if (complete) await fs.rm(path.join(root, entry.name), { recursive: true, force: true });
+    }
+  }
+
+  // The file driver already reads these where they are
+  if (authStore.name !== 'file') {
+    for (const entry of await fs.readdir(AUTH_DIR, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name.startsWith('_')) continue;
+      for (const key of SERVICE_KEYS) {
+        const file = path.join(AUTH_DIR, entry.name, `${key}.json`);
+        if (fsSync.existsSync(file)) await importFile(file, entry.name, key);
+      }
+    }
+  }
+
+  if (imported > 0) log.info({ event: 'state.imported', count: imported, driver: authStore.name }, 'Legacy service state moved into the auth store');
+}
+
+// Sessions are converted as they load (see initializeClient); the namespaces are converted
+// here, at boot. Only a single instance does it: in a cluster another replica may be
+// rewriting the same entries, so there `npm run migrate-auth -- --encrypt` does the job.
+async function encryptServiceNamespaces() {
+  if (!authStore.encrypted || CLUSTER_ENABLED) return;
+  for (const namespace of SERVICE_NAMESPACES) {
+    try {
+      const converted = await authStore.encryptAgent(namespace);
+      if (converted.encrypted > 0 || converted.rewrapped > 0) {
+        log.info({ event: 'auth.encrypted', namespace, ...converted }, 'Service state encrypted at rest');
+      }
+    } catch (e) {
+      log.error({ event: 'auth.encrypt_failed', namespace, err: e }, 'Could not encrypt service state');
+    }
+  }
+}
+
+// Several replicas can share one auth store (postgres/redis): CLUSTER_DRIVER keeps a lease
+// per agent_id so exactly one instance runs each session. See SESSION OWNERSHIP below.
+const CLUSTER_DRIVER = process.env.CLUSTER_DRIVER || 'none';
+const CLUSTER_ENABLED = CLUSTER_DRIVER !== 'none';
+const INSTANCE_ID = process.env.INSTANCE_ID || process.env.RAILWAY_REPLICA_ID || `${os.hostname()}-${process.pid}`;
+// Where the other instances reach this one (Railway: http://${RAILWAY_PRIVATE_DOMAIN}:${PORT})
+const INSTANCE_URL = (process.env.INSTANCE_URL || `http://${os.hostname()}:${PORT}`).replace(/\/$/, '');
+const CLUSTER_ROUTING = process.env.CLUSTER_ROUTING || 'proxy'; // proxy | redirect
+const LEASE_TTL_MS = parseInt(process.env.LEASE_TTL_MS || '30000', 10);
+const LEASE_RENEW_MS = parseInt(process.env.LEASE_RENEW_MS || '10000', 10);
+const ORPHAN_SCAN_MS = parseInt(process.env.ORPHAN_SCAN_MS || '30000', 10);
+const leases = createLeaseStore(CLUSTER_DRIVER, {
+  instanceId: INSTANCE_ID,
+  url: INSTANCE_URL,
+  ttlMs: LEASE_TTL_MS,
+  redis: {
+    redisUrl: process.env.CLUSTER_REDIS_URL || process.env.REDIS_URL,
+    prefix: process.env.CLUSTER_REDIS_PREFIX || 'wa:lease:'
+  },
+  postgres: {
+    connectionString: process.env.CLUSTER_POSTGRES_URL || process.env.DATABASE_URL,
+    table: process.env.CLUSTER_POSTGRES_TABLE || 'wa_session_leases'
+  }
+});
+const ownedAgents = new Set(); // agentIds whose lease this instance holds
+
+// ─── PROMETHEUS METRICS ───
+// Counters are bumped where things happen; gauges are read from the live Maps on scrape.
+const metricsRegistry = createRegistry();
+const metrics = {
+  sessions: metricsRegistry.gauge('wa_sessions', 'Sessions by connection state', ['state'], () => {
+    const counts = { connecting: 0, open: 0, close: 0, suspended: 0 };
+    for (const state of clientStates.values()) counts[state] = (counts[state] || 0) + 1;
+    return Object.entries(counts).map(([state, n]) => [{ state }, n]);
+  }),
+  ownedSessions: metricsRegistry.gauge('wa_owned_sessions', 'Session leases held by this instance', ['instance_id'], () => [[{ instance_id: INSTANCE_ID }, ownedAgents.size]]),
+  pendingQrs: metricsRegistry.gauge('wa_pending_qr_codes', 'QR codes waiting to be scanned', [], () => [[{}, qrCodes.size]]),
+  disconnects: metricsRegistry.counter('wa_disconnects_total', 'Connection closes by DisconnectReason', ['agent_id', 'reason']),
+  reconnectAttempts: metricsRegistry.counter('wa_reconnect_attempts_total', 'Reconnect attempts by the DisconnectReason that caused them', ['agent_id', 'reason']),
+  reconnectGiveUps: metricsRegistry.counter('wa_reconnect_give_ups_total', 'Sessions suspended instead of reconnected, by cause', ['agent_id', 'reason']),
+  reconnectsInProgress: metricsRegistry.gauge('wa_reconnect_attempt_current', 'Current reconnect attempt per agent (absent when connected)', ['agent_id'], () =>
+    Array.from(reconnectAttempts.entries()).map(([agent_id, n]) => [{ agent_id }, n])),
+  messages: metricsRegistry.counter('wa_messages_total', 'Messages by direction, type and source (whatsapp, phone, api, schedule, broadcast)', ['direction', 'type', 'source']),
+  sendFailures: metricsRegistry.counter('wa_send_failures_total', 'Queued outbound sends that failed', ['source']),
+  sendQueueDepth: metricsRegistry.gauge('wa_send_queue_depth', 'Messages waiting in the pacing queue', ['agent_id'], () =>
+    Array.from(sendQueues.entries()).map(([agent_id, q]) => [{ agent_id }, q.items.length])),
+  webhookDuration: metricsRegistry.histogram('wa_webhook_delivery_duration_seconds', 'Webhook delivery attempt latency', ['event', 'outcome']),
+  webhookDeliveries: metricsRegistry.counter('wa_webhook_deliveries_total', 'Webhook delivery attempts by outcome', ['event', 'outcome']),
+  webhookDeadLetters: metricsRegistry.counter('wa_webhook_dead_letters_total', 'Webhooks moved to the dead-letter queue', ['event']),
+  webhookPending: metricsRegistry.gauge('wa_webhook_queue_pending', 'Webhook deliveries waiting for (re)delivery', ['agent_id'], () =>
+    Array.from(webhookQueues.entries()).map(([agent_id, q]) => [{ agent_id }, q.pending.size])),
+  mediaDownloads: metricsRegistry.counter('wa_media_downloads_total', 'Inbound media downloads by winning strategy (failed = none worked)', ['strategy', 'message_type']),
+  lidResolutions: metricsRegistry.counter('wa_lid_resolutions_total', 'LID lookups by the layer that resolved them', ['layer']),
+  sentMessagesCache: metricsRegistry.gauge('wa_sent_messages_cache_size', 'Entries in the sentMessages retry cache', [], () => [[{}, sentMessages.size]]),
+  uptime: metricsRegistry.gauge('process_uptime_seconds', 'Process uptime', [], () => [[{}, Math.round(process.uptime())]]),
+  memory: metricsRegistry.gauge('process_resident_memory_bytes', 'Resident memory size', [], () => [[{}, process.memoryUsage().rss]])
+};
+
+// Helper: DisconnectReason name for a status code (numeric enums map back to their name)
+function disconnectReasonName(statusCode) {
+  if (!statusCode) return 'unknown';
+  const name = DisconnectReason[statusCode];
+  return typeof name === 'string' ? name : String(statusCode);
+}
+
+// ─── RECONNECT POLICY ───
+// What to do when a socket closes, by DisconnectReason name (loggedOut always wipes auth):
+//   restart    reconnect right away (515 after pairing is part of the normal login flow)
+//   reconnect  exponential backoff with jitter, up to RECONNECT_MAX_ATTEMPTS
+//   suspend    keep the creds on disk and wait for POST /resume/:agent_id
+// RECONNECT_REASON_ACTIONS overrides the defaults, e.g. "connectionReplaced=reconnect,badSession=suspend".
+const RECONNECT_ACTIONS = ['restart', 'reconnect', 'suspend'];
+const RECONNECT_REASON_ACTIONS = {
+  restartRequired: 'restart',
+  // Another client took over these creds: reconnecting would kick it out and start a tug of war
+  connectionReplaced: 'suspend',
+  badSession: 'reconnect',
+  // Only a fresh pairing fixes this one
+  multideviceMismatch: 'suspend',
+  ...parseReasonActions(process.env.RECONNECT_REASON_ACTIONS)
+};
+
+function parseReasonActions(value) {
+  const actions = {};
+  for (const pair of String(value || '').split(',')) {
+    if (!pair.trim()) continue;
+    const [reason, action] = pair.split('=').map(p => p.trim());
+    if (!reason || !RECONNECT_ACTIONS.includes(action)) {
+      throw new Error(`Invalid RECONNECT_REASON_ACTIONS entry "${pair}" (expected reason=${RECONNECT_ACTIONS.join('|')})`);
+    }
+    actions[reason] = action;
+  }
+  return actions;
+}
+
+function reconnectActionFor(reason) {
+  return RECONNECT_REASON_ACTIONS[reason] || 'reconnect';
+}
+
+function reconnectDelayMs(attempt) {
+  const base = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1), RECONNECT_MAX_DELAY_MS);
+  const jitter = (Math.random() * 2 - 1) * RECONNECT_JITTER * base;
+  return Math.max(0, Math.round(base + jitter));
+}
+
+// ─── MEDIA STORAGE ───
+// Inbound media goes to MEDIA_STORAGE_DRIVER (supabase | s3 | local). If that upload
+// fails, the file is kept on local disk and served over a signed, expiring /media URL.
+const MEDIA_STORAGE_DRIVER = process.env.MEDIA_STORAGE_DRIVER || 'supabase';
+const MEDIA_LOCAL_FALLBACK = (process.env.MEDIA_LOCAL_FALLBACK || 'true') !== 'false';
+const MEDIA_URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS || String(7 * 24 * 3600), 10);
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL
+  || (process.env.RAILWAY_PUBLIC_DOMAIN ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}` : `http://localhost:${PORT}`);
+
+const mediaStorageOptions = {
+  local: {
+    dir: process.env.MEDIA_LOCAL_DIR || path.join(AUTH_DIR, '_media'),
+    baseUrl: PUBLIC_BASE_URL,
+    secret: process.env.MEDIA_URL_SECRET || MICROSERVICE_SECRET,
+    ttlSeconds: MEDIA_URL_TTL_SECONDS
+  },
+  s3: {
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl: process.env.S3_PUBLIC_URL,
+    ttlSeconds: MEDIA_URL_TTL_SECONDS
+  },
+  supabase: {
+    supabaseUrl: process.env.SUPABASE_URL || WEBHOOK_URL.replace('/functions/v1/webhook-whatsapp-personal', ''),
+    bucket: process.env.SUPABASE_MEDIA_BUCKET || 'whatsapp-media',
+    serviceKey: SUPABASE_SERVICE_ROLE_KEY || WEBHOOK_SECRET
+  }
+};
+const localMediaStorage = createMediaStorage('local', mediaStorageOptions);
+const mediaStorage = MEDIA_STORAGE_DRIVER === 'local'
+  ? localMediaStorage
+  : createMediaStorage(MEDIA_STORAGE_DRIVER, mediaStorageOptions);
+
+// Upload inbound media; never throws. Returns { url, driver } (url null if every driver failed).
+async function storeInboundMedia(agentId, fileName, buffer, mimeType) {
+  const key = `${agentId}/${fileName}`;
+  try {
+    const { url } = await mediaStorage.upload(key, buffer, mimeType);
+    agentLog(agentId).info({ event: 'media.stored', driver: mediaStorage.name, url }, 'Inbound media uploaded');
+    return { url, driver: mediaStorage.name };
+  } catch (error) {
+    agentLog(agentId).error({ event: 'media.store_failed', driver: mediaStorage.name, err: error }, 'Inbound media upload failed');
+  }
+  if (MEDIA_LOCAL_FALLBACK && mediaStorage !== localMediaStorage) {
+    try {
+      const { url } = await localMediaStorage.upload(key, buffer, mimeType);
+      agentLog(agentId).warn({ event: 'media.stored', driver: 'local', url }, 'Inbound media kept on local storage after upload failure');
+      return { url, driver: 'local' };
+    } catch (error) {
+      agentLog(agentId).error({ event: 'media.store_failed', driver: 'local', err: error }, 'Local media fallback failed');
+    }
+  }
+  return { url: null, driver: null };
+}
+
 // Clear QR timeout for an agent
 function clearQrTimeout(agentId) {
   const timeout = qrTimeouts.get(agentId);
   if (timeout) {
     clearTimeout(timeout);
     qrTimeouts.delete(agentId);
-    console.log(`⏰ QR timeout cleared for ${agentId}`);
+    agentLog(agentId).debug({ event: 'qr.timeout_cleared' }, 'QR timeout cleared');
   }
 }
 
+// Arm the QR_TIMEOUT_MS window (shared by QR and pairing-code login)
+function armQrTimeout(agentId) {
+  clearQrTimeout(agentId);
+  const timeout = setTimeout(async () => {
+    agentLog(agentId).info({ event: 'qr.timeout' }, 'QR timeout expired, soft cleanup (auth preserved)');
+    publishEvent(agentId, 'connection', { state: 'qr_timeout' });
+    await destroyClient(agentId, false);
+  }, QR_TIMEOUT_MS);
+  qrTimeouts.set(agentId, timeout);
+  agentLog(agentId).debug({ event: 'qr.timeout_armed', timeout_s: QR_TIMEOUT_MS / 1000 }, 'QR timeout armed');
+}
+
+// Helper: format an 8-char pairing code the way WhatsApp shows it (ABCD-EFGH)
+function formatPairingCode(code) {
+  return code && code.length === 8 ? `${code.slice(0, 4)}-${code.slice(4)}` : code;
+}
+
 // Helper: extract phone number from Baileys JID
 function jidToPhone(jid) {
   if (!jid) return '';
@@ -86,30 +466,26 @@ function getLidCache(agentId) {
   return cache;
 }
 
-// ─── PERSISTENCE OF LID↔PN MAPPINGS TO DISK ───
+// ─── PERSISTENCE OF LID↔PN MAPPINGS ───
 // Debounced (10s) to avoid I/O storm. Survives container restarts on Railway.
 const persistLidMappingsTimers = new Map(); // agentId -> timeout
 const PERSIST_LID_DEBOUNCE_MS = 10000;
 
+// Stored next to Baileys' own lid-mapping-* keys (lid-mapping-runtime.json with the file driver)
+const LID_RUNTIME_KEY = 'lid-mapping-runtime';
+
 async function persistLidMappingsNow(agentId) {
   try {
     const cache = lidToPhoneCache.get(agentId);
     if (!cache || cache.size === 0) return;
-    const dir = path.join(AUTH_DIR, agentId);
-    if (!fsSync.existsSync(dir)) {
-      fsSync.mkdirSync(dir, { recursive: true });
-    }
     const obj = {};
     for (const [lid, pn] of cache.entries()) {
       if (lid && pn && !pn.includes('@lid')) obj[lid] = pn;
     }
-    const filePath = path.join(dir, 'lid-mapping-runtime.json');
-    const tmpPath = `${filePath}.tmp`;
-    await fs.writeFile(tmpPath, JSON.stringify(obj), 'utf8');
-    await fs.rename(tmpPath, filePath);
-    console.log(`💾 Persisted ${Object.keys(obj).length} LID mappings to disk for ${agentId}`);
+    await authStore.write(agentId, LID_RUNTIME_KEY, obj);
+    agentLog(agentId).debug({ event: 'lid.persisted', count: Object.keys(obj).length }, 'LID mappings persisted');
   } catch (e) {
-    console.warn(`⚠️ persistLidMappingsNow error for ${agentId}:`, e.message);
+    agentLog(agentId).warn({ event: 'lid.persist_failed', err: e }, 'Could not persist LID mappings');
   }
 }
 
@@ -124,19 +500,15 @@ function schedulePersistLidMappings(agentId) {
   persistLidMappingsTimers.set(agentId, t);
 }
 
-// Helper: load persisted lid-mapping-*.json files into in-memory cache
-function loadLidMappingsFromDisk(agentId) {
+// Helper: load persisted lid-mapping-* entries from the auth store into in-memory cache
+async function loadPersistedLidMappings(agentId) {
   try {
-    const dir = path.join(AUTH_DIR, agentId);
-    if (!fsSync.existsSync(dir)) return 0;
-    const files = fsSync.readdirSync(dir).filter(f => f.startsWith('lid-mapping-') && f.endsWith('.json'));
+    const stored = await authStore.readPrefix(agentId, 'lid-mapping-');
     const cache = getLidCache(agentId);
     let loaded = 0;
-    for (const f of files) {
+    for (const [, data] of stored) {
       try {
-        const raw = fsSync.readFileSync(path.join(dir, f), 'utf8');
-        const data = JSON.parse(raw);
-        // Files are typically { "lidUser": "phoneUser" } or wrapped
+        // Entries are typically { "lidUser": "phoneUser" } or wrapped
         const entries = data && typeof data === 'object' ? Object.entries(data) : [];
         for (const [k, v] of entries) {
           if (typeof k === 'string' && typeof v === 'string') {
@@ -146,16 +518,669 @@ function loadLidMappingsFromDisk(agentId) {
             loaded++;
           }
         }
-      } catch (e) { /* ignore individual file parse errors */ }
+      } catch (e) { /* ignore malformed entries */ }
     }
-    if (loaded > 0) console.log(`📂 Loaded ${loaded} LID mappings from disk for ${agentId}`);
+    if (loaded > 0) agentLog(agentId).info({ event: 'lid.loaded', count: loaded, driver: authStore.name }, 'LID mappings loaded');
     return loaded;
   } catch (e) {
-    console.warn(`⚠️ loadLidMappingsFromDisk error for ${agentId}:`, e.message);
+    agentLog(agentId).warn({ event: 'lid.load_failed', err: e }, 'Could not load LID mappings');
     return 0;
   }
 }
 
+// ─── PERSISTENT CHAT & MESSAGE STORE ───
+// One store per agent, kept across reconnects and persisted (debounced) under the agent's
+// message-store key so /chats, /messages and /contacts survive restarts.
+const chatStores = new Map();            // agentId -> store (see createStore)
+const persistStoreTimers = new Map();    // agentId -> timeout
+const PERSIST_STORE_DEBOUNCE_MS = 5000;
+
+// Helper: normalize Baileys timestamps (number | Long | string) to unix seconds
+function toUnixTimestamp(ts) {
+  if (ts === null || ts === undefined) return 0;
+  if (typeof ts === 'number') return ts;
+  if (typeof ts === 'string') return parseInt(ts, 10) || 0;
+  if (typeof ts.toNumber === 'function') return ts.toNumber();
+  if (typeof ts.low === 'number') return ts.low >>> 0;
+  return 0;
+}
+
+function createStore() {
+  const chats = new Map();    // chatId -> chat
+  const messages = new Map(); // chatId -> array of messages, oldest first
+
+  const getChatMessages = (chatId) => {
+    let list = messages.get(chatId);
+    if (!list) {
+      list = [];
+      messages.set(chatId, list);
+    }
+    return list;
+  };
+
+  const touchChat = (chatId, timestamp) => {
+    const chat = chats.get(chatId) || { id: chatId };
+    if (timestamp && timestamp > toUnixTimestamp(chat.conversationTimestamp)) {
+      chat.conversationTimestamp = timestamp;
+    }
+    chats.set(chatId, chat);
+  };
+
+  // Insert or merge a message; keeps the chat ordered by timestamp and capped
+  const upsertMessage = (msg) => {
+    const chatId = msg?.key?.remoteJid;
+    const id = msg?.key?.id;
+    if (!chatId || !id || chatId === 'status@broadcast') return false;
+    const list = getChatMessages(chatId);
+    const timestamp = toUnixTimestamp(msg.messageTimestamp);
+    const entry = { ...msg, messageTimestamp: timestamp };
+    const idx = list.findIndex(m => m.key.id === id);
+    if (idx >= 0) {
+      list[idx] = { ...list[idx], ...entry };
+    } else {
+      list.push(entry);
+      const prev = list[list.length - 2];
+      if (prev && prev.messageTimestamp > timestamp) {
+        list.sort((a, b) => a.messageTimestamp - b.messageTimestamp);
+      }
+      if (list.length > STORE_MAX_MESSAGES_PER_CHAT) {
+        list.splice(0, list.length - STORE_MAX_MESSAGES_PER_CHAT);
+      }
+    }
+    touchChat(chatId, timestamp);
+    return true;
+  };
+
+  const updateMessage = (key, update) => {
+    const list = messages.get(key?.remoteJid);
+    const msg = list?.find(m => m.key.id === key.id);
+    if (!msg || !update) return false;
+    Object.assign(msg, update);
+    return true;
+  };
+
+  const findMessage = (chatId, id) => messages.get(chatId)?.find(m => m.key.id === id) || null;
+
+  // Message ids are unique per agent in practice, so callers needn't know the chat
+  const findMessageById = (id) => {
+    for (const list of messages.values()) {
+      const msg = list.find(m => m.key.id === id);
+      if (msg) return msg;
+    }
+    return null;
+  };
+
+  // Paginate a chat by cursor. `before`/`after` accept a message id or a unix timestamp.
+  // Results are always returned oldest first. Returns null for an unknown cursor.
+  const pageMessages = (chatId, { limit = 50, before, after } = {}) => {
+    const list = messages.get(chatId) || [];
+    // Resolve a cursor to the boundary index: for `before`, the first index to exclude;
+    // for `after`, the last index to exclude.
+    const resolveCursor = (cursor, isBefore) => {
+      const byId = list.findIndex(m => m.key.id === cursor);
+      if (byId >= 0) return byId;
+      if (!/^\d+$/.test(String(cursor))) return null;
+      const ts = parseInt(cursor, 10);
+      if (isBefore) {
+        const idx = list.findIndex(m => m.messageTimestamp >= ts);
+        return idx === -1 ? list.length : idx;
+      }
+      let idx = -1;
+      list.forEach((m, i) => { if (m.messageTimestamp <= ts) idx = i; });
+      return idx;
+    };
+
+    if (before !== undefined) {
+      const end = resolveCursor(before, true);
+      if (end === null) return null;
+      const start = Math.max(0, end - limit);
+      return { messages: list.slice(start, end), hasMore: start > 0 };
+    }
+    if (after !== undefined) {
+      const last = resolveCursor(after, false);
+      if (last === null) return null;
+      const end = Math.min(list.length, last + 1 + limit);
+      return { messages: list.slice(last + 1, end), hasMore: end < list.length };
+    }
+    const start = Math.max(0, list.length - limit);
+    return { messages: list.slice(start), hasMore: start > 0 };
+  };
+
+  const store = {
+    contacts: {},
+    chats: {
+      all: () => Array.from(chats.values()),
+      get: (chatId) => chats.get(chatId) || null,
+      upsert: (chat) => {
+        if (!chat?.id) return;
+        // History-sync chats embed their messages; those are ingested separately
+        const { messages: _embedded, ...fields } = chat;
+        chats.set(chat.id, { ...(chats.get(chat.id) || {}), ...fields });
+      },
+      update: (update) => {
+        if (!update?.id) return;
+        const existing = chats.get(update.id) || { id: update.id };
+        chats.set(update.id, Object.assign(existing, update));
+      },
+      delete: (chatId) => {
+        chats.delete(chatId);
+        messages.delete(chatId);
+      },
+    },
+    messages: {
+      upsert: upsertMessage,
+      update: updateMessage,
+      find: findMessage,
+      findById: findMessageById,
+      page: pageMessages,
+      count: (chatId) => (messages.get(chatId) || []).length,
+    },
+    toJSON: () => ({
+      chats: Array.from(chats.values()),
+      messages: Object.fromEntries(messages.entries()),
+      contacts: store.contacts,
+    }),
+    fromJSON: (data) => {
+      Object.assign(store.contacts, data?.contacts || {});
+      for (const chat of data?.chats || []) {
+        if (chat?.id) chats.set(chat.id, chat);
+      }
+      for (const [chatId, list] of Object.entries(data?.messages || {})) {
+        if (Array.isArray(list)) messages.set(chatId, list.slice(-STORE_MAX_MESSAGES_PER_CHAT));
+      }
+    },
+  };
+  return store;
+}
+
+// Helper: the in-memory store of an agent (loadStore() fills it when the session is claimed)
+function getStore(agentId) {
+  let store = chatStores.get(agentId);
+  if (!store) {
+    store = createStore();
+    chatStores.set(agentId, store);
+  }
+  return store;
+}
+
+async function loadStore(agentId) {
+  if (chatStores.has(agentId)) return chatStores.get(agentId);
+  let data = null;
+  try {
+    data = await authStore.read(agentId, STORE_KEY);
+  } catch (e) {
+    agentLog(agentId).warn({ event: 'store.load_failed', err: e }, 'Could not load message store');
+  }
+  // Created while we were reading: the live one is newer
+  if (chatStores.has(agentId)) return chatStores.get(agentId);
+  const store = getStore(agentId);
+  if (data) {
+    store.fromJSON(data);
+    agentLog(agentId).info({ event: 'store.loaded', chats: store.chats.all().length }, 'Message store loaded');
+  }
+  return store;
+}
+
+async function persistStoreNow(agentId) {
+  try {
+    const store = chatStores.get(agentId);
+    if (!store) return;
+    await authStore.write(agentId, STORE_KEY, store.toJSON());
+  } catch (e) {
+    agentLog(agentId).warn({ event: 'store.persist_failed', err: e }, 'Could not persist message store');
+  }
+}
+
+function schedulePersistStore(agentId) {
+  if (!agentId || persistStoreTimers.has(agentId)) return;
+  const t = setTimeout(() => {
+    persistStoreTimers.delete(agentId);
+    persistStoreNow(agentId).catch(() => {});
+  }, PERSIST_STORE_DEBOUNCE_MS);
+  persistStoreTimers.set(agentId, t);
+}
+
+// Drop the in-memory store (used when auth data is wiped)
+function dropStore(agentId) {
+  const t = persistStoreTimers.get(agentId);
+  if (t) clearTimeout(t);
+  persistStoreTimers.delete(agentId);
+  chatStores.delete(agentId);
+}
+
+// ─── DURABLE WEBHOOK DELIVERY QUEUE ───
+// Every webhook is written to disk before the first attempt and retried with
+// exponential backoff. After WEBHOOK_MAX_ATTEMPTS it is moved to the agent's
+// dead-letter list, where it can be inspected, replayed or purged over HTTP.
+// Layout: _webhook_queue namespace, <agent_id>/{pending,dead}/<delivery_id>. In a cluster
+// the instance that owns the session delivers its queue.
+const webhookQueues = new Map(); // agentId -> { pending: Map<deliveryId, delivery>, timer, running, rerun, stopped }
+
+function webhookQueueKey(delivery, folder) {
+  return `${delivery.agent_id}/${folder}/${delivery.id}`;
+}
+
+function getWebhookQueue(agentId) {
+  let queue = webhookQueues.get(agentId);
+  if (!queue) {
+    queue = { pending: new Map(), timer: null, running: false, rerun: false, stopped: false };
+    webhookQueues.set(agentId, queue);
+  }
+  return queue;
+}
+
+// Forget an agent's queue without touching the store (its new owner delivers it)
+function dropWebhookQueue(agentId) {
+  const queue = webhookQueues.get(agentId);
+  if (!queue) return;
+  queue.stopped = true;
+  if (queue.timer) clearTimeout(queue.timer);
+  webhookQueues.delete(agentId);
+}
+
+function webhookBackoffMs(attempts) {
+  return Math.min(WEBHOOK_RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)), WEBHOOK_RETRY_MAX_MS);
+}
+
+// Queue a webhook for delivery. Resolves once the delivery is safely stored.
+async function enqueueWebhook(agentId, payload, { url = WEBHOOK_URL, event = 'message' } = {}) {
+  const now = Date.now();
+  const delivery = {
+    id: crypto.randomUUID(),
+    agent_id: agentId,
+    event,
+    url,
+    payload,
+    attempts: 0,
+    created_at: now,
+    next_attempt_at: now,
+    last_attempt_at: null,
+    last_status: null,
+    last_error: null
+  };
+  await authStore.write(WEBHOOK_QUEUE_NS, webhookQueueKey(delivery, 'pending'), delivery);
+  getWebhookQueue(agentId).pending.set(delivery.id, delivery);
+  processWebhookQueue(agentId);
+  return delivery.id;
+}
+
+async function deliverWebhook(delivery) {
+  // Signed per attempt (fresh timestamp); the delivery id stays stable across retries
+  const body = JSON.stringify(delivery.payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    ...signWebhookPayload(WEBHOOK_SIGNING_SECRET, delivery.id, body)
+  };
+  if (WEBHOOK_BEARER_COMPAT) {
+    headers['Authorization'] = `Bearer ${WEBHOOK_SECRET}`;
+  }
+  const response = await fetch(delivery.url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    const error = new Error(`HTTP ${response.status}${text ? `: ${text.substring(0, 500)}` : ''}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+async function attemptWebhookDelivery(queue, delivery) {
+  const agentId = delivery.agent_id;
+  const pendingKey = webhookQueueKey(delivery, 'pending');
+
+  delivery.attempts++;
+  delivery.last_attempt_at = Date.now();
+  try {
+    await deliverWebhook(delivery);
+    recordWebhookAttempt(delivery, 'success');
+    queue.pending.delete(delivery.id);
+    await authStore.remove(WEBHOOK_QUEUE_NS, pendingKey);
+    agentLog(agentId).info({ event: 'webhook.delivered', delivery_id: delivery.id, webhook_event: delivery.event, attempt: delivery.attempts }, 'Webhook delivered');
+    return;
+  } catch (error) {
+    recordWebhookAttempt(delivery, 'failure');
+    delivery.last_status = error.status || null;
+    delivery.last_error = error.message;
+  }
+
+  try {
+    if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      queue.pending.delete(delivery.id);
+      delivery.dead_at = Date.now();
+      await authStore.write(WEBHOOK_QUEUE_NS, webhookQueueKey(delivery, 'dead'), delivery);
+      await authStore.remove(WEBHOOK_QUEUE_NS, pendingKey);
+      metrics.webhookDeadLetters.inc({ event: delivery.event });
+      agentLog(agentId).error({ event: 'webhook.dead_lettered', delivery_id: delivery.id, webhook_event: delivery.event, attempts: delivery.attempts, error: delivery.last_error }, 'Webhook moved to dead-letter');
+    } else {
+      const delay = webhookBackoffMs(delivery.attempts);
+      delivery.next_attempt_at = Date.now() + delay;
+      await authStore.write(WEBHOOK_QUEUE_NS, pendingKey, delivery);
+      agentLog(agentId).warn({ event: 'webhook.retry_scheduled', delivery_id: delivery.id, webhook_event: delivery.event, attempt: delivery.attempts, max_attempts: WEBHOOK_MAX_ATTEMPTS, delay_ms: delay, error: delivery.last_error }, 'Webhook delivery failed, will retry');
+    }
+  } catch (e) {
+    agentLog(agentId).error({ event: 'webhook.persist_failed', delivery_id: delivery.id, err: e }, 'Could not persist webhook state');
+  }
+}
+
+function recordWebhookAttempt(delivery, outcome) {
+  const labels = { event: delivery.event, outcome };
+  metrics.webhookDeliveries.inc(labels);
+  metrics.webhookDuration.observe(labels, (Date.now() - delivery.last_attempt_at) / 1000);
+}
+
+// Deliver every due webhook for an agent, then arm a timer for the next retry
+async function processWebhookQueue(agentId) {
+  const queue = getWebhookQueue(agentId);
+  if (shuttingDown) return; // pending deliveries are stored; the next boot resumes them
+  if (queue.running) {
+    queue.rerun = true;
+    return;
+  }
+  queue.running = true;
+  if (queue.timer) {
+    clearTimeout(queue.timer);
+    queue.timer = null;
+  }
+  try {
+    do {
+      queue.rerun = false;
+      const due = Array.from(queue.pending.values())
+        .filter(d => d.next_attempt_at <= Date.now())
+        .sort((a, b) => a.created_at - b.created_at);
+      for (const delivery of due) {
+        if (shuttingDown || queue.stopped) break;
+        await attemptWebhookDelivery(queue, delivery);
+      }
+    } while (queue.rerun && !shuttingDown && !queue.stopped);
+  } catch (e) {
+    agentLog(agentId).error({ event: 'webhook.queue_error', err: e }, 'Webhook queue error');
+  } finally {
+    queue.running = false;
+  }
+
+  let nextAt = Infinity;
+  for (const d of queue.pending.values()) nextAt = Math.min(nextAt, d.next_attempt_at);
+  if (Number.isFinite(nextAt) && !shuttingDown && !queue.stopped) {
+    queue.timer = setTimeout(() => processWebhookQueue(agentId), Math.max(0, nextAt - Date.now()));
+  }
+}
+
+// Reload stored pending deliveries: every agent's at boot, or one agent's when a cluster
+// instance claims its session. Deliveries already queued here are left alone.
+async function loadWebhookQueues(agentId = null) {
+  try {
+    const loaded = new Set();
+    let total = 0;
+    for (const delivery of await readNamespace(WEBHOOK_QUEUE_NS, agentId, 'pending/')) {
+      if (delivery.dead_at) continue; // listing every agent returns the dead letters too
+      const queue = getWebhookQueue(delivery.agent_id);
+      if (queue.pending.has(delivery.id)) continue;
+      queue.pending.set(delivery.id, delivery);
+      loaded.add(delivery.agent_id);
+      total++;
+    }
+    for (const id of loaded) processWebhookQueue(id);
+    if (total > 0) log.info({ event: 'webhook.queue_reloaded', agent_id: agentId || undefined, count: total }, 'Pending webhook deliveries reloaded');
+  } catch (e) {
+    log.error({ event: 'webhook.queue_load_failed', agent_id: agentId || undefined, err: e }, 'Could not load webhook queues');
+  }
+}
+
+async function readDeadLetters(agentId) {
+  const deliveries = await readNamespace(WEBHOOK_QUEUE_NS, agentId, 'dead/');
+  return deliveries.sort((a, b) => a.created_at - b.created_at);
+}
+
+// Move dead-lettered deliveries back to pending with a fresh attempt budget
+async function replayDeadLetters(agentId, ids = null) {
+  const queue = getWebhookQueue(agentId);
+  const replayed = [];
+  for (const delivery of await readDeadLetters(agentId)) {
+    if (ids && !ids.includes(delivery.id)) continue;
+    delivery.attempts = 0;
+    delivery.next_attempt_at = Date.now();
+    delete delivery.dead_at;
+    await authStore.write(WEBHOOK_QUEUE_NS, webhookQueueKey(delivery, 'pending'), delivery);
+    await authStore.remove(WEBHOOK_QUEUE_NS, webhookQueueKey(delivery, 'dead'));
+    queue.pending.set(delivery.id, delivery);
+    replayed.push(delivery.id);
+  }
+  if (replayed.length > 0) {
+    agentLog(agentId).info({ event: 'webhook.dead_letter_replayed', count: replayed.length }, 'Replaying dead-lettered webhooks');
+    processWebhookQueue(agentId);
+  }
+  return replayed;
+}
+
+async function purgeDeadLetters(agentId, ids = null) {
+  const purged = [];
+  for (const delivery of await readDeadLetters(agentId)) {
+    if (ids && !ids.includes(delivery.id)) continue;
+    await authStore.remove(WEBHOOK_QUEUE_NS, webhookQueueKey(delivery, 'dead'));
+    purged.push(delivery.id);
+  }
+  if (purged.length > 0) agentLog(agentId).info({ event: 'webhook.dead_letter_purged', count: purged.length }, 'Dead-lettered webhooks purged');
+  return purged;
+}
+
+// Helper: summary of a delivery without its payload (for list endpoints)
+function summarizeDelivery(d) {
+  return {
+    id: d.id,
+    event: d.event,
+    message_id: d.payload?.message_id || null,
+    attempts: d.attempts,
+    created_at: new Date(d.created_at).toISOString(),
+    last_attempt_at: d.last_attempt_at ? new Date(d.last_attempt_at).toISOString() : null,
+    next_attempt_at: d.dead_at ? null : new Date(d.next_attempt_at).toISOString(),
+    dead_at: d.dead_at ? new Date(d.dead_at).toISOString() : null,
+    last_status: d.last_status,
+    last_error: d.last_error
+  };
+}
+
+// ─── REAL-TIME EVENT STREAM (SSE) ───
+// Dashboards subscribe to GET /events/:agent_id and receive connection transitions,
+// fresh QR images, messages, receipts and reconnect attempts as they happen.
+// A short per-agent backlog lets EventSource resume via Last-Event-ID after a drop.
+const eventSubscribers = new Map(); // agentId -> Set<res>
+const recentEvents = new Map();     // agentId -> [{ id, event, data }]
+const EVENT_BACKLOG_SIZE = 100;
+const EVENT_HEARTBEAT_MS = 25000;
+const EVENTS_TOKEN_TTL_MS = parseInt(process.env.EVENTS_TOKEN_TTL_MS || '300000', 10); // ?access_token= credentials for EventSource
+let eventSeq = 0;
+
+function writeSseEvent(res, { id, event, data }) {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function publishEvent(agentId, event, data = {}) {
+  if (!agentId) return;
+  const entry = { id: ++eventSeq, event, data: { agent_id: agentId, ...data, at: new Date().toISOString() } };
+  let backlog = recentEvents.get(agentId);
+  if (!backlog) {
+    backlog = [];
+    recentEvents.set(agentId, backlog);
+  }
+  backlog.push(entry);
+  if (backlog.length > EVENT_BACKLOG_SIZE) backlog.shift();
+
+  const subscribers = eventSubscribers.get(agentId);
+  if (!subscribers) return;
+  for (const res of subscribers) {
+    try {
+      writeSseEvent(res, entry);
+    } catch (e) {
+      subscribers.delete(res);
+    }
+  }
+}
+
+function subscribeEvents(agentId, res, lastEventId) {
+  let subscribers = eventSubscribers.get(agentId);
+  if (!subscribers) {
+    subscribers = new Set();
+    eventSubscribers.set(agentId, subscribers);
+  }
+  subscribers.add(res);
+  // Replay anything missed since Last-Event-ID (ids are process-wide and increasing)
+  if (lastEventId) {
+    for (const entry of recentEvents.get(agentId) || []) {
+      if (entry.id > lastEventId) writeSseEvent(res, entry);
+    }
+  }
+  return () => {
+    subscribers.delete(res);
+    if (subscribers.size === 0) eventSubscribers.delete(agentId);
+  };
+}
+
+// ─── MESSAGE ACK TRACKING ───
+// Delivery status of outgoing messages, fed by messages.update (1:1 acks) and
+// message-receipt.update (per-participant receipts in groups). Each forward change is
+// forwarded to the webhook as a `message_status` event and kept under the agent's
+// message-acks key for GET /message-status.
+const ACK_STATUSES = ['error', 'pending', 'server', 'delivered', 'read', 'played']; // index = proto WebMessageInfo.Status
+const MAX_TRACKED_ACKS_PER_AGENT = parseInt(process.env.MAX_TRACKED_ACKS_PER_AGENT || '5000', 10);
+const messageAcks = new Map();        // agentId -> Map<messageId, ack>
+const persistAcksTimers = new Map();  // agentId -> timeout
+
+function ackStatusName(status) {
+  if (typeof status === 'string') return ACK_STATUSES.includes(status) ? status : null;
+  return ACK_STATUSES[status] || null;
+}
+
+// Forward-only ordering. `error` only replaces pending or server: once the phone has the
+// message (delivered and beyond) a late error can't undo that
+function isAckProgress(current, next) {
+  if (!current) return true;
+  if (next === 'error') return current === 'pending' || current === 'server';
+  if (current === 'error') return false;
+  return ACK_STATUSES.indexOf(next) > ACK_STATUSES.indexOf(current);
+}
+
+function getAckMap(agentId) {
+  let acks = messageAcks.get(agentId);
+  if (!acks) {
+    acks = new Map();
+    messageAcks.set(agentId, acks);
+  }
+  return acks;
+}
+
+// Stored acks as a Map, without keeping them in memory
+async function readAckMap(agentId) {
+  const acks = new Map();
+  for (const ack of (await authStore.read(agentId, ACKS_KEY)) || []) {
+    if (ack?.message_id) acks.set(ack.message_id, ack);
+  }
+  return acks;
+}
+
+async function loadAckMap(agentId) {
+  if (messageAcks.has(agentId)) return messageAcks.get(agentId);
+  let acks = new Map();
+  try {
+    acks = await readAckMap(agentId);
+  } catch (e) {
+    agentLog(agentId).warn({ event: 'ack.load_failed', err: e }, 'Could not load message acks');
+  }
+  if (messageAcks.has(agentId)) return messageAcks.get(agentId);
+  messageAcks.set(agentId, acks);
+  return acks;
+}
+
+async function persistAcksNow(agentId) {
+  const acks = messageAcks.get(agentId);
+  if (!acks) return;
+  try {
+    await authStore.write(agentId, ACKS_KEY, Array.from(acks.values()));
+  } catch (e) {
+    agentLog(agentId).warn({ event: 'ack.persist_failed', err: e }, 'Could not persist message acks');
+  }
+}
+
+function schedulePersistAcks(agentId) {
+  if (persistAcksTimers.has(agentId)) return;
+  const t = setTimeout(() => {
+    persistAcksTimers.delete(agentId);
+    persistAcksNow(agentId);
+  }, PERSIST_STORE_DEBOUNCE_MS);
+  persistAcksTimers.set(agentId, t);
+}
+
+function dropMessageAcks(agentId) {
+  const t = persistAcksTimers.get(agentId);
+  if (t) clearTimeout(t);
+  persistAcksTimers.delete(agentId);
+  messageAcks.delete(agentId);
+}
+
+// Start tracking an outgoing message (idempotent, never notifies). A socket still winding
+// down after its lease was lost must not write acks over the new owner's.
+function trackOutgoingMessage(agentId, key, status = 'pending') {
+  if (!key?.id || !key.fromMe || !ownsSession(agentId)) return;
+  const acks = getAckMap(agentId);
+  if (acks.has(key.id)) return;
+  const now = new Date().toISOString();
+  const initial = ackStatusName(status) || 'pending';
+  acks.set(key.id, {
+    message_id: key.id,
+    remote_jid: key.remoteJid || null,
+    status: initial,
+    created_at: now,
+    updated_at: now,
+    history: [{ status: initial, at: now }],
+    participants: {}
+  });
+  // Map keeps insertion order, so the first entry is the oldest
+  if (acks.size > MAX_TRACKED_ACKS_PER_AGENT) acks.delete(acks.keys().next().value);
+  schedulePersistAcks(agentId);
+}
+
+// Record an ack. `participant` is set for group receipts, which are tracked per member.
+function recordMessageAck(agentId, { key, status, participant = null, timestamp = null }) {
+  const name = ackStatusName(status);
+  if (!key?.id || !name || !ownsSession(agentId)) return;
+  if (key.fromMe === false) return; // receipts only matter for our own messages
+  trackOutgoingMessage(agentId, { ...key, fromMe: true });
+  const ack = getAckMap(agentId).get(key.id);
+  if (!ack) return;
+
+  let previous;
+  if (participant) {
+    previous = ack.participants[participant] || null;
+    if (!isAckProgress(previous, name)) return;
+    ack.participants[participant] = name;
+  } else {
+    previous = ack.status;
+    if (!isAckProgress(previous, name)) return;
+    ack.status = name;
+    ack.history.push({ status: name, at: new Date().toISOString() });
+  }
+  ack.updated_at = new Date().toISOString();
+  schedulePersistAcks(agentId);
+
+  const payload = {
+    event_type: 'message_status',
+    agent_id: agentId,
+    message_id: key.id,
+    remote_jid: key.remoteJid || ack.remote_jid,
+    participant,
+    status: name,
+    previous_status: previous,
+    timestamp: timestamp || Math.floor(Date.now() / 1000)
+  };
+  publishEvent(agentId, 'receipt', payload);
+  enqueueWebhook(agentId, payload, { event: 'message_status' }).catch((e) => {
+    agentLog(agentId).error({ event: 'webhook.enqueue_failed', webhook_event: 'message_status', message_id: key.id, err: e }, 'Could not queue message_status webhook');
+  });
+}
+
 // Helper: resolve LID to real phone number — 4-layer strategy
 // Returns the resolved JID (phone JID if found, original LID if not).
 async function resolveContactId(jid, pushName, store, sock, agentId) {
@@ -171,6 +1196,7 @@ async function resolveContactId(jid, pushName, store, sock, agentId) {
       if (pn && typeof pn === 'string' && !pn.includes('@lid')) {
         // cache for future
         if (agentId) getLidCache(agentId).set(jid, pn);
+        metrics.lidResolutions.inc({ layer: 'signal_repository' });
         return pn;
       }
     }
@@ -183,12 +1209,14 @@ async function resolveContactId(jid, pushName, store, sock, agentId) {
     const contact = store.contacts[jid];
     if (contact && contact.id && !contact.id.includes('@lid')) {
       if (agentId) getLidCache(agentId).set(jid, contact.id);
+      metrics.lidResolutions.inc({ layer: 'store_contacts' });
       return contact.id;
     }
     for (const [contactJid, contactData] of Object.entries(store.contacts)) {
       if (contactData.lid === jid && !contactJid.includes('@lid')) {
-        console.log(`✅ LID resolved via store.contacts.lid field: ${jid} -> ${contactJid}`);
+        agentLog(agentId).debug({ event: 'lid.resolved', layer: 'store_contacts', lid: jid, jid: contactJid }, 'LID resolved via store.contacts lid field');
         if (agentId) getLidCache(agentId).set(jid, contactJid);
+        metrics.lidResolutions.inc({ layer: 'store_contacts' });
         return contactJid;
       }
     }
@@ -198,11 +1226,13 @@ async function resolveContactId(jid, pushName, store, sock, agentId) {
   if (agentId) {
     const cached = getLidCache(agentId).get(jid);
     if (cached && !cached.includes('@lid')) {
+      metrics.lidResolutions.inc({ layer: 'cache' });
       return cached;
     }
   }
 
-  console.log(`⚠️ LID unresolved after 4 layers: ${jid}, pushName: ${pushName}`);
+  metrics.lidResolutions.inc({ layer: 'unresolved' });
+  agentLog(agentId).info({ event: 'lid.unresolved', lid: jid }, 'LID unresolved after 4 layers');
   return jid;
 }
 
@@ -256,72 +1286,736 @@ function detectMessageType(message) {
   }
   if (unwrapped.documentMessage) return { type: 'media', baileysType: 'document' };
   if (unwrapped.stickerMessage) return { type: 'sticker', baileysType: 'sticker' };
+  if (unwrapped.protocolMessage) {
+    const protocolType = unwrapped.protocolMessage.type;
+    if (protocolType === PROTOCOL_REVOKE) return { type: 'revoke', baileysType: 'revoke' };
+    if (protocolType === PROTOCOL_MESSAGE_EDIT) return { type: 'edit', baileysType: 'edit' };
+    return { type: 'protocol', baileysType: 'protocol' };
+  }
+  if (unwrapped.reactionMessage) return { type: 'reaction', baileysType: 'reaction' };
+  if (getPollCreation(unwrapped)) return { type: 'poll', baileysType: 'poll' };
+  if (unwrapped.pollUpdateMessage) return { type: 'poll_vote', baileysType: 'poll_vote' };
+  if (unwrapped.locationMessage || unwrapped.liveLocationMessage) return { type: 'location', baileysType: 'location' };
+  if (unwrapped.contactMessage || unwrapped.contactsArrayMessage) return { type: 'contact', baileysType: 'contact' };
   if (unwrapped.extendedTextMessage?.contextInfo?.quotedMessage) return { type: 'reply', baileysType: 'text' };
   
   return { type: 'text', baileysType: 'text' };
 }
 
-// Destroy client and clean up
-async function destroyClient(agentId, deleteAuthData = true) {
-  console.log(`🗑️ Destroying client for ${agentId} (deleteAuthData: ${deleteAuthData})`);
-  
-  clearQrTimeout(agentId);
-  
-  const clientData = clients.get(agentId);
-  
-  if (clientData && clientData.sock) {
-    try {
-      if (deleteAuthData) {
-        await clientData.sock.logout();
-        console.log(`✅ Client logged out`);
-      } else {
-        clientData.sock.end();
-        console.log(`✅ Client socket closed (soft cleanup)`);
-      }
-    } catch (error) {
-      console.error(`⚠️ Error closing client for ${agentId}:`, error.message);
-      try {
-        clientData.sock.end();
-      } catch (e) {
-        // ignore
-      }
-    }
-  }
-  
-  // Only delete auth session data from disk if explicitly requested
-  if (deleteAuthData) {
-    const authPath = path.join(AUTH_DIR, agentId);
-    try {
-      if (fsSync.existsSync(authPath)) {
-        console.log(`🗑️ Deleting auth session data at: ${authPath}`);
-        fsSync.rmSync(authPath, { recursive: true, force: true });
-        console.log(`✅ Auth session data deleted`);
+// ─── GROUP MANAGEMENT ───
+
+// Helper: accept "1203630...", "1203630...@g.us" for groups
+function toGroupJid(groupId) {
+  const id = String(groupId || '').trim();
+  return id.endsWith('@g.us') ? id : `${id}@g.us`;
+}
+
+// Helper: accept phone numbers or JIDs for participants
+function toUserJid(value) {
+  const v = String(value || '').trim();
+  if (v.includes('@')) return v.replace('@c.us', '@s.whatsapp.net');
+  return `${v.replace(/\D/g, '')}@s.whatsapp.net`;
+}
+
+// Helper: participant entries are strings in older Baileys, objects in newer ones
+function participantJid(p) {
+  return typeof p === 'string' ? p : (p?.id || null);
+}
+
+// Resolve one participant to { jid, phone_number, lid, admin } through the LID layers
+async function describeParticipant(p, clientData, agentId) {
+  const jid = participantJid(p);
+  const knownPn = [p?.phoneNumber, p?.jid].find(v => typeof v === 'string' && v.endsWith('@s.whatsapp.net'));
+  const resolved = knownPn || await resolveContactId(jid, null, clientData.store, clientData.sock, agentId);
+  const isLid = !!jid && jid.includes('@lid');
+  return {
+    jid,
+    phone_number: resolved && !resolved.includes('@lid') ? jidToPhone(resolved) : null,
+    lid: isLid ? jidToPhone(jid) : (p?.lid ? jidToPhone(p.lid) : null),
+    admin: p?.admin || null
+  };
+}
+
+async function describeGroup(metadata, clientData, agentId) {
+  return {
+    id: metadata.id,
+    subject: metadata.subject || null,
+    description: metadata.desc || null,
+    owner: metadata.owner || null,
+    created_at: metadata.creation || null,
+    announce: !!metadata.announce,
+    restrict: !!metadata.restrict,
+    size: metadata.size || metadata.participants?.length || 0,
+    participants: await Promise.all((metadata.participants || []).map(p => describeParticipant(p, clientData, agentId)))
+  };
+}
+
+// Middleware: the agent in the route must have an open socket
+function requireConnectedClient(req, res, next) {
+  const clientData = clients.get(req.params.agent_id);
+  if (!clientData || !clientData.sock || clientStates.get(req.params.agent_id) !== 'open') {
+    return res.status(404).json({ error: 'Client not connected' });
+  }
+  req.clientData = clientData;
+  next();
+}
+
+// Forward group lifecycle events to the webhook and live stream
+async function forwardGroupEvent(agentId, eventType, data) {
+  const payload = { event_type: eventType, agent_id: agentId, ...data, timestamp: Math.floor(Date.now() / 1000) };
+  publishEvent(agentId, 'group', payload);
+  try {
+    await enqueueWebhook(agentId, payload, { event: eventType });
+  } catch (e) {
+    agentLog(agentId).error({ event: 'webhook.enqueue_failed', webhook_event: eventType, err: e }, 'Could not queue group webhook');
+  }
+}
+
+// ─── INTERACTIVE INBOUND MESSAGES ───
+// Reactions, edits, revokes, polls, poll votes, locations and contact cards get their own
+// message_type with structured message_metadata instead of arriving as empty text.
+const PROTOCOL_REVOKE = 0;        // proto.Message.ProtocolMessage.Type.REVOKE
+const PROTOCOL_MESSAGE_EDIT = 14; // proto.Message.ProtocolMessage.Type.MESSAGE_EDIT
+
+// Helper: bytes fields may come back as base64 strings after a JSON round-trip
+function toBytes(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return Buffer.from(value, 'base64');
+  return Buffer.from(value);
+}
+
+function getPollCreation(message) {
+  const content = unwrapMessage(message);
+  return content?.pollCreationMessage || content?.pollCreationMessageV2 || content?.pollCreationMessageV3 || null;
+}
+
+// Helper: phone numbers from a vCard's TEL lines (prefers the waid= parameter)
+function parseVcardPhones(vcard) {
+  if (!vcard) return [];
+  const phones = [];
+  for (const line of String(vcard).split(/\r?\n/)) {
+    if (!/^(item\d+\.)?TEL/i.test(line)) continue;
+    const waid = /waid=(\d+)/i.exec(line);
+    const value = waid ? waid[1] : line.split(':').pop().replace(/\D/g, '');
+    if (value) phones.push(value);
+  }
+  return phones;
+}
+
+// Decrypt a poll vote against the poll creation message (from our send cache or store).
+// Returns the selected option names, or null when the poll or its secret is unknown.
+function decryptPollVoteOptions(msg, pollUpdate, sock, store) {
+  const creationKey = pollUpdate.pollCreationMessageKey;
+  const creationMessage = sentMessages.get(creationKey?.id) || store?.messages?.findById(creationKey?.id)?.message;
+  const pollCreation = getPollCreation(creationMessage);
+  const pollEncKey = toBytes(creationMessage?.messageContextInfo?.messageSecret);
+  if (!pollCreation || !pollEncKey || !pollUpdate.vote) return null;
+
+  // Votes are bound to creator/voter JIDs; WhatsApp may address either side by PN or LID
+  const meIds = [sock.user?.id, sock.user?.lid].filter(Boolean).map(jidNormalizedUser);
+  const creatorIds = creationKey.fromMe ? meIds : [creationKey.participant || creationKey.remoteJid];
+  const voterIds = msg.key.fromMe ? meIds : [msg.key.participant || msg.key.remoteJid];
+  for (const pollCreatorJid of creatorIds) {
+    for (const voterJid of voterIds) {
+      try {
+        const vote = decryptPollVote(
+          { encPayload: toBytes(pollUpdate.vote.encPayload), encIv: toBytes(pollUpdate.vote.encIv) },
+          { pollCreatorJid, pollMsgId: creationKey.id, pollEncKey, voterJid }
+        );
+        const selected = (vote.selectedOptions || []).map(h => Buffer.from(h).toString('hex'));
+        return (pollCreation.options || [])
+          .map(o => o.optionName)
+          .filter(name => selected.includes(crypto.createHash('sha256').update(name).digest('hex')));
+      } catch (_) { /* wrong JID pairing, try the next one */ }
+    }
+  }
+  return null;
+}
+
+// Structured metadata and webhook body for the interactive message types
+function describeInteractiveMessage(messageType, unwrapped, msg, sock, store) {
+  switch (messageType) {
+    case 'reaction': {
+      const r = unwrapped.reactionMessage;
+      return {
+        body: r.text || '',
+        metadata: {
+          reaction: {
+            emoji: r.text || null,
+            removed: !r.text,
+            target_message_id: r.key?.id || null,
+            target_from_me: !!r.key?.fromMe
+          }
+        }
+      };
+    }
+    case 'edit': {
+      const pm = unwrapped.protocolMessage;
+      const newText = extractMessageText(pm.editedMessage);
+      return {
+        body: newText,
+        metadata: { edit: { target_message_id: pm.key?.id || null, new_text: newText } }
+      };
+    }
+    case 'revoke': {
+      const pm = unwrapped.protocolMessage;
+      return {
+        body: '🚫 Mensaje eliminado',
+        metadata: { revoked_message_id: pm.key?.id || null }
+      };
+    }
+    case 'poll': {
+      const poll = getPollCreation(unwrapped);
+      return {
+        body: `📊 Encuesta: ${poll.name || ''}`,
+        metadata: {
+          poll: {
+            name: poll.name || null,
+            options: (poll.options || []).map(o => o.optionName),
+            selectable_count: poll.selectableOptionsCount || 0
+          }
+        }
+      };
+    }
+    case 'poll_vote': {
+      const update = unwrapped.pollUpdateMessage;
+      const options = decryptPollVoteOptions(msg, update, sock, store);
+      return {
+        body: options ? `🗳️ Voto: ${options.join(', ') || '(sin selección)'}` : '🗳️ Voto en encuesta',
+        metadata: {
+          poll_vote: {
+            poll_message_id: update.pollCreationMessageKey?.id || null,
+            selected_options: options,
+            decrypted: options !== null
+          }
+        }
+      };
+    }
+    case 'location': {
+      const loc = unwrapped.locationMessage || unwrapped.liveLocationMessage;
+      const live = !!unwrapped.liveLocationMessage;
+      return {
+        body: `📍 Ubicación${loc.name ? `: ${loc.name}` : ''}`,
+        metadata: {
+          location: {
+            latitude: loc.degreesLatitude,
+            longitude: loc.degreesLongitude,
+            name: loc.name || null,
+            address: loc.address || null,
+            url: loc.url || null,
+            live,
+            caption: loc.caption || null
+          }
+        }
+      };
+    }
+    case 'contact': {
+      const list = unwrapped.contactsArrayMessage?.contacts || [unwrapped.contactMessage];
+      const contacts = list.map(c => ({
+        name: c.displayName || null,
+        phones: parseVcardPhones(c.vcard),
+        vcard: c.vcard || null
+      }));
+      return {
+        body: `👤 Contacto: ${contacts.map(c => c.name).filter(Boolean).join(', ')}`,
+        metadata: { contacts }
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+// Destroy client and clean up
+async function destroyClient(agentId, deleteAuthData = true) {
+  agentLog(agentId).info({ event: 'client.destroy', delete_auth: deleteAuthData }, 'Destroying client');
+  
+  clearQrTimeout(agentId);
+  
+  const clientData = clients.get(agentId);
+  
+  if (clientData && clientData.sock) {
+    try {
+      if (deleteAuthData) {
+        await clientData.sock.logout();
+        agentLog(agentId).info({ event: 'client.logged_out' }, 'Client logged out');
+      } else {
+        clientData.sock.end();
+        agentLog(agentId).info({ event: 'client.socket_closed' }, 'Client socket closed (soft cleanup)');
+      }
+    } catch (error) {
+      agentLog(agentId).error({ event: 'client.destroy_failed', err: error }, 'Error closing client');
+      try {
+        clientData.sock.end();
+      } catch (e) {
+        // ignore
+      }
+    }
+  }
+  
+  // Only delete auth session data from disk if explicitly requested
+  if (deleteAuthData) {
+    const authPath = path.join(AUTH_DIR, agentId);
+    try {
+      if (fsSync.existsSync(authPath)) {
+        agentLog(agentId).info({ event: 'auth.deleting', path: authPath }, 'Deleting auth session data');
+        fsSync.rmSync(authPath, { recursive: true, force: true });
       }
+      await authStore.clear(agentId);
+      agentLog(agentId).info({ event: 'auth.deleted', driver: authStore.name }, 'Auth session data deleted');
     } catch (error) {
-      console.error(`⚠️ Error deleting auth session:`, error.message);
+      agentLog(agentId).error({ event: 'auth.delete_failed', err: error }, 'Error deleting auth session');
     }
+    dropStore(agentId);
+    dropMessageAcks(agentId);
+    dropSendQueue(agentId);
+    suspendedSessions.delete(agentId);
   }
   
   clients.delete(agentId);
   qrCodes.delete(agentId);
+  pairingCodes.delete(agentId);
   clientStates.delete(agentId);
+  await releaseSession(agentId);
   
   await new Promise(resolve => setTimeout(resolve, 1000));
-  console.log(`⏱️ Cleanup complete for ${agentId}`);
+  agentLog(agentId).debug({ event: 'client.destroyed' }, 'Cleanup complete');
+}
+
+// ─── API KEYS & SCOPED AUTHORIZATION ───
+// MICROSERVICE_SECRET remains the master key (every scope, every agent). Additional keys
+// are issued through /api-keys, restricted to a list of agent_ids (or '*') and a set of
+// scopes. Only a SHA-256 hash of each key is stored, one entry per key in the _api_keys
+// namespace, so every replica accepts the same keys. A replica reloads the keys when it
+// sees an id it doesn't know, and every API_KEYS_REFRESH_MS for changes made elsewhere.
+//   send     POST /send, /send-media
+//   read     status, chats, messages, LID lookups
+//   session  /init, /disconnect
+//   admin    operational endpoints for its agents (webhook queue, dead-letter...)
+// Managing keys requires the master secret or an admin key valid for '*'.
+const API_KEY_SCOPES = ['send', 'read', 'session', 'admin'];
+const API_KEY_PREFIX = 'wbk';
+const API_KEYS_REFRESH_MS = 30000;
+const API_KEYS_MISS_RELOAD_MS = 5000; // unknown ids trigger at most one reload per interval
+const apiKeys = new Map(); // keyId -> { id, name, hash, scopes, agent_ids, created_at, last_used_at, revoked_at }
+const usedApiKeys = new Set(); // keyIds whose last_used_at hasn't been written yet
+let persistApiKeysTimer = null;
+let apiKeysLoadedAt = 0;
+let apiKeysReady = null; // set at boot: requests wait for the first load
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Replace the in-memory keys with the stored ones (keys are revoked, never deleted)
+async function loadApiKeys() {
+  try {
+    const first = apiKeysLoadedAt === 0;
+    apiKeysLoadedAt = Date.now();
+    for (const [, key] of await authStore.readPrefix(API_KEYS_NS, '')) {
+      if (!key?.id || !key?.hash) continue;
+      const local = apiKeys.get(key.id);
+      if (local?.last_used_at && !(key.last_used_at >= local.last_used_at)) key.last_used_at = local.last_used_at;
+      apiKeys.set(key.id, key);
+    }
+    if (first) log.info({ event: 'api_keys.loaded', count: apiKeys.size }, 'API keys loaded');
+  } catch (e) {
+    log.error({ event: 'api_keys.load_failed', err: e }, 'Could not load API keys');
+  }
+}
+
+async function saveApiKey(key) {
+  await authStore.write(API_KEYS_NS, key.id, key);
+}
+
+// Only last_used_at is written back, on top of the stored record, so a usage flush never
+// undoes a change another replica made to the key meanwhile
+async function persistApiKeyUsage() {
+  const ids = Array.from(usedApiKeys);
+  usedApiKeys.clear();
+  await Promise.all(ids.map(async (id) => {
+    try {
+      const usedAt = apiKeys.get(id)?.last_used_at;
+      const stored = await authStore.read(API_KEYS_NS, id);
+      if (!stored || !usedAt || stored.last_used_at >= usedAt) return;
+      await saveApiKey({ ...stored, last_used_at: usedAt });
+    } catch (e) {
+      log.error({ event: 'api_keys.persist_failed', key_id: id, err: e }, 'Could not persist API key usage');
+    }
+  }));
+}
+
+// last_used_at changes on every request, so those writes are debounced
+function schedulePersistApiKeys() {
+  if (persistApiKeysTimer) return;
+  persistApiKeysTimer = setTimeout(() => {
+    persistApiKeysTimer = null;
+    persistApiKeyUsage().catch(() => {});
+  }, 10000);
+}
+
+// Helper: public view of a key record (never includes the hash)
+function describeApiKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    scopes: key.scopes,
+    agent_ids: key.agent_ids,
+    created_at: key.created_at,
+    last_used_at: key.last_used_at,
+    revoked_at: key.revoked_at
+  };
+}
+
+function validateApiKeyFields({ scopes, agent_ids }) {
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => !API_KEY_SCOPES.includes(s))) {
+      return `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`;
+    }
+  }
+  if (agent_ids !== undefined) {
+    const valid = agent_ids === '*'
+      || (Array.isArray(agent_ids) && agent_ids.length > 0 && agent_ids.every(a => typeof a === 'string' && a));
+    if (!valid) return "agent_ids must be '*' or a non-empty array of agent ids";
+  }
+  return null;
+}
+
+// Keys look like wbk_<id>_<secret>; the id selects the record, the whole key is hashed
+function authenticateBearer(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  const token = authHeader.slice('Bearer '.length);
+  const master = Buffer.from(`Bearer ${MICROSERVICE_SECRET}`);
+  const received = Buffer.from(authHeader);
+  if (received.length === master.length && crypto.timingSafeEqual(received, master)) {
+    return { id: 'master', master: true, scopes: API_KEY_SCOPES, agent_ids: '*' };
+  }
+  const [prefix, keyId] = token.split('_');
+  if (prefix !== API_KEY_PREFIX || !keyId) return null;
+  const key = apiKeys.get(keyId);
+  if (!key || key.revoked_at) return null;
+  const expected = Buffer.from(key.hash, 'hex');
+  const actual = Buffer.from(hashApiKey(token), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+  key.last_used_at = new Date().toISOString();
+  usedApiKeys.add(key.id);
+  schedulePersistApiKeys();
+  return key;
+}
+
+// authenticateBearer() once the keys are loaded. In a cluster a key created on another
+// replica may not be here yet, so an unknown key id reloads the keys before failing.
+async function authenticateRequest(req) {
+  await apiKeysReady;
+  const header = req.headers.authorization;
+  const key = authenticateBearer(header);
+  if (key || !CLUSTER_ENABLED || Date.now() - apiKeysLoadedAt < API_KEYS_MISS_RELOAD_MS) return key;
+  const [prefix, keyId] = (header || '').replace(/^Bearer /, '').split('_');
+  if (prefix !== API_KEY_PREFIX || !keyId || apiKeys.has(keyId)) return null;
+  await loadApiKeys();
+  return authenticateBearer(header);
+}
+
+function keyAllowsAgent(key, agentId) {
+  return key.agent_ids === '*' || (Array.isArray(key.agent_ids) && key.agent_ids.includes(agentId));
+}
+
+// Helper: agent a request targets (route param, or body for POST routes)
+function requestAgentId(req) {
+  return req.params?.agent_id || req.body?.agent_id || req.body?.agentId || null;
+}
+
+// Agent ids become auth-store keys and folder names under AUTH_DIR, next to the service's
+// own "_" namespaces: no leading "_" or ".", so neither those nor "..", can be addressed
+const AGENT_ID_PATTERN = /^[A-Za-z0-9][\w.-]{0,127}$/;
+
+function isValidAgentId(agentId) {
+  return typeof agentId === 'string' && AGENT_ID_PATTERN.test(agentId);
+}
+
+function invalidAgentId(res) {
+  return res.status(400).json({ error: 'Invalid agent_id: letters, digits, "_", "." and "-", not starting with "_" or "."' });
+}
+
+// Middleware factory: require a valid key with `scope` for the agent in the request.
+// With deferAgentCheck the route must call canAccessAgent() or requireAgentAccess() itself
+// (multipart and large JSON bodies are only parsed after auth, so agent_id isn't known yet).
+function requireScope(scope, { deferAgentCheck = false } = {}) {
+  return async (req, res, next) => {
+    let key;
+    try {
+      key = await authenticateRequest(req);
+    } catch (e) {
+      return next(e);
+    }
+    if (!key) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (!key.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API key lacks the '${scope}' scope` });
+    }
+    req.apiKey = key;
+    const agentId = requestAgentId(req);
+    if (agentId !== null && !isValidAgentId(agentId)) return invalidAgentId(res);
+    if (deferAgentCheck) return next();
+    requireAgentAccess(req, res, next);
+  };
+}
+
+// The agent half of requireScope(), for routes that defer it until their body is parsed
+function requireAgentAccess(req, res, next) {
+  const agentId = requestAgentId(req);
+  if (agentId !== null && !isValidAgentId(agentId)) return invalidAgentId(res);
+  if (!canAccessAgent(req, agentId)) {
+    return res.status(403).json({ error: 'API key is not valid for this agent' });
+  }
+  routeToOwner(req, res, next, agentId).catch(next);
+}
+
+function canAccessAgent(req, agentId) {
+  if (!req.apiKey) return false;
+  if (req.apiKey.agent_ids === '*') return true;
+  return !!agentId && keyAllowsAgent(req.apiKey, agentId);
 }
 
-// Auth middleware (identical to original)
-const authMiddleware = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || authHeader !== `Bearer ${MICROSERVICE_SECRET}`) {
+// Key management: master secret, or an admin key that covers every agent
+async function requireKeyAdmin(req, res, next) {
+  let key;
+  try {
+    key = await authenticateRequest(req);
+  } catch (e) {
+    return next(e);
+  }
+  if (!key) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
+  if (!key.master && !(key.scopes.includes('admin') && key.agent_ids === '*')) {
+    return res.status(403).json({ error: "Managing API keys requires the master secret or an admin key for '*'" });
+  }
+  req.apiKey = key;
   next();
-};
+}
+
+// ─── SESSION OWNERSHIP ───
+// A session only runs on the instance holding its lease. Leases are renewed every
+// LEASE_RENEW_MS; a lease that is lost (e.g. this instance stalled past LEASE_TTL_MS and
+// another one took over) stops the local socket without logging out. Requests for an
+// agent owned elsewhere are proxied (or 307-redirected) to the owner's INSTANCE_URL.
+const FORWARDED_HEADER = 'x-forwarded-by-instance';
+// Hop-by-hop headers, plus the ones fetch recomputes
+const UNFORWARDED_HEADERS = ['host', 'connection', 'keep-alive', 'transfer-encoding', 'content-length', 'content-encoding', 'upgrade'];
+
+async function claimSession(agentId) {
+  if (ownedAgents.has(agentId)) return true;
+  if (!(await leases.acquire(agentId))) return false;
+  ownedAgents.add(agentId);
+  await loadAgentState(agentId);
+  return true;
+}
+
+async function releaseSession(agentId) {
+  if (!ownedAgents.delete(agentId)) return;
+  if (CLUSTER_ENABLED) await unloadAgentState(agentId);
+  try {
+    await leases.release(agentId);
+  } catch (e) {
+    agentLog(agentId).warn({ event: 'cluster.release_failed', err: e }, 'Could not release session lease');
+  }
+}
+
+function ownsSession(agentId) {
+  return !CLUSTER_ENABLED || ownedAgents.has(agentId);
+}
+
+async function renewLeases() {
+  if (ownedAgents.size === 0) return;
+  let lost;
+  try {
+    lost = await leases.renew(Array.from(ownedAgents));
+  } catch (e) {
+    // Keep running: the sessions stay ours until the TTL runs out on the lease store
+    log.warn({ event: 'cluster.renew_failed', err: e }, 'Could not renew session leases');
+    return;
+  }
+  for (const agentId of lost) {
+    agentLog(agentId).error({ event: 'cluster.lease_lost' }, 'Session lease taken by another instance, stopping local socket');
+    ownedAgents.delete(agentId);
+    await destroyClient(agentId, false);
+    await unloadAgentState(agentId, { lost: true });
+  }
+}
+
+// What a session needs in memory, read from the store when this instance claims it. A
+// single instance loads every webhook queue, job and broadcast at boot instead.
+async function loadAgentState(agentId) {
+  await Promise.all([loadStore(agentId), loadAckMap(agentId), loadSendCounter(agentId)]);
+  if (CLUSTER_ENABLED) {
+    await Promise.all([loadWebhookQueues(agentId), loadScheduledJobs(agentId), loadBroadcasts(agentId)]);
+  }
+}
+
+// Cluster: the next owner starts from the store. A released session writes what is still
+// pending and lets its in-flight webhooks and jobs finish (they re-check ownership before
+// running again); a lost lease drops everything here, as the new owner already took over.
+async function unloadAgentState(agentId, { lost = false } = {}) {
+  if (!lost) {
+    await Promise.all([
+      persistStoreTimers.has(agentId) && persistStoreNow(agentId),
+      persistAcksTimers.has(agentId) && persistAcksNow(agentId)
+    ]);
+  }
+  dropStore(agentId);
+  dropMessageAcks(agentId);
+  if (lost) {
+    dropWebhookQueue(agentId);
+    dropScheduledJobs(agentId);
+    dropBroadcasts(agentId);
+  }
+}
+
+function withoutAccessToken(originalUrl) {
+  const queryStart = originalUrl.indexOf('?');
+  if (queryStart === -1) return originalUrl;
+  const params = new URLSearchParams(originalUrl.slice(queryStart + 1));
+  if (!params.has('access_token')) return originalUrl;
+  params.delete('access_token');
+  const query = params.toString();
+  return originalUrl.slice(0, queryStart) + (query ? `?${query}` : '');
+}
+
+// Proxy a request to the owning instance and stream the answer back (SSE included)
+async function proxyToInstance(req, res, owner) {
+  const headers = { ...req.headers, [FORWARDED_HEADER]: INSTANCE_ID };
+  for (const name of UNFORWARDED_HEADERS) delete headers[name];
+
+  let body;
+  if (!['GET', 'HEAD'].includes(req.method)) {
+    if (req.is('multipart/form-data')) {
+      // multer has consumed the stream already: rebuild the form
+      delete headers['content-type'];
+      body = new FormData();
+      for (const [name, value] of Object.entries(req.body || {})) {
+        body.append(name, typeof value === 'string' ? value : JSON.stringify(value));
+      }
+      if (req.file) {
+        body.append(req.file.fieldname, new Blob([req.file.buffer], { type: req.file.mimetype }), req.file.originalname);
+      }
+    } else if (req.body && Object.keys(req.body).length > 0) {
+      headers['content-type'] = 'application/json';
+      body = JSON.stringify(req.body);
+    }
+  }
+
+  // The Authorization header already carries whatever came as ?access_token=
+  const url = withoutAccessToken(req.originalUrl);
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  let response;
+  try {
+    response = await fetch(`${owner.url}${url}`, { method: req.method, headers, body, signal: controller.signal });
+  } catch (e) {
+    log.warn({ event: 'cluster.proxy_failed', owner: owner.instance_id, url, err: e }, 'Owner instance unreachable');
+    res.set('Retry-After', String(Math.ceil(LEASE_TTL_MS / 1000)));
+    return res.status(503).json({ error: 'The instance that owns this session is unreachable', owner: owner.instance_id });
+  }
+
+  res.status(response.status);
+  response.headers.forEach((value, name) => {
+    if (!UNFORWARDED_HEADERS.includes(name)) res.setHeader(name, value);
+  });
+  res.setHeader('X-Served-By-Instance', owner.instance_id);
+  if (!response.body) return res.end();
+  Readable.fromWeb(response.body).on('error', () => res.end()).pipe(res);
+}
+
+// Serve locally when this instance owns the agent (or nobody does); otherwise hand the
+// request to the owner. Forwarded requests are always served locally, so a stale lease
+// can't bounce a request between instances.
+async function routeToOwner(req, res, next, agentId) {
+  if (!CLUSTER_ENABLED || !agentId || ownedAgents.has(agentId) || req.headers[FORWARDED_HEADER]) return next();
+  let owner;
+  try {
+    owner = await leases.owner(agentId);
+  } catch (e) {
+    agentLog(agentId).warn({ event: 'cluster.owner_lookup_failed', err: e }, 'Could not look up session owner, serving locally');
+    return next();
+  }
+  if (!owner || owner.instance_id === INSTANCE_ID) return next();
+  if (CLUSTER_ROUTING === 'redirect') {
+    return res.redirect(307, `${owner.url}${req.originalUrl}`);
+  }
+  return proxyToInstance(req, res, owner);
+}
+
+// ─── SUSPENDED SESSIONS ───
+// A suspended session has no socket but keeps its creds. The marker, kept in the auth
+// store next to the creds, makes the suspension survive restarts and other instances
+// (restoreSessions leaves those agents alone) until POST /resume/:agent_id or a fresh /init.
+const SUSPENDED_KEY = 'suspended';
+
+async function suspendSession(agentId, { reason, statusCode = null, message = null }) {
+  const suspension = {
+    reason,
+    status_code: statusCode,
+    message,
+    attempts: reconnectAttempts.get(agentId) || 0,
+    suspended_at: new Date().toISOString()
+  };
+  suspendedSessions.set(agentId, suspension);
+  reconnectAttempts.delete(agentId);
+  clearQrTimeout(agentId);
+  clients.delete(agentId);
+  qrCodes.delete(agentId);
+  pairingCodes.delete(agentId);
+  clientStates.set(agentId, 'suspended');
+  lastEdgeFunctionNotify.delete(agentId); // so the next open tells the edge function again
+  metrics.reconnectGiveUps.inc({ agent_id: agentId, reason });
+  agentLog(agentId).error({ event: 'connection.suspended', reason, status_code: statusCode, attempts: suspension.attempts }, 'Session suspended');
+  publishEvent(agentId, 'connection', { state: 'suspended', ...suspension });
+
+  try {
+    await authStore.write(agentId, SUSPENDED_KEY, suspension);
+  } catch (e) {
+    agentLog(agentId).warn({ event: 'connection.suspend_persist_failed', err: e }, 'Could not persist suspension');
+  }
+  // Whoever handles POST /resume takes the lease again
+  await releaseSession(agentId);
+
+  // Notify Supabase to mark session as inactive
+  try {
+    const connectUrl = WEBHOOK_URL.replace('webhook-whatsapp-personal', 'whatsapp-personal-connect');
+    await fetch(connectUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${MICROSERVICE_SECRET}`
+      },
+      body: JSON.stringify({ action: 'disconnect', agent_id: agentId })
+    });
+    agentLog(agentId).info({ event: 'edge.notified', action: 'disconnect' }, 'Supabase notified: session inactive');
+  } catch (e) {
+    agentLog(agentId).error({ event: 'edge.notify_failed', action: 'disconnect', err: e }, 'Could not notify Supabase');
+  }
+}
+
+function clearSuspension(agentId) {
+  if (suspendedSessions.delete(agentId) && clientStates.get(agentId) === 'suspended') {
+    clientStates.delete(agentId);
+  }
+  authStore.remove(agentId, SUSPENDED_KEY).catch((e) => {
+    agentLog(agentId).warn({ event: 'connection.suspend_clear_failed', err: e }, 'Could not clear suspension marker');
+  });
+}
 
 // Initialize WhatsApp client with Baileys
-async function initializeClient(agentId, isReconnect = false) {
-  console.log(`📱 Initializing Baileys client for agent: ${agentId} (isReconnect: ${isReconnect})`);
+// options.pairingPhone: log in with a pairing code for that number instead of a QR
+async function initializeClient(agentId, isReconnect = false, options = {}) {
+  const { pairingPhone = null } = options;
+  agentLog(agentId).info({ event: 'client.initializing', is_reconnect: isReconnect }, 'Initializing Baileys client');
+  
+  if (!(await claimSession(agentId))) {
+    throw Object.assign(new Error('Session is owned by another instance'), { status: 409 });
+  }
   
   const authPath = path.join(AUTH_DIR, agentId);
   
@@ -329,34 +2023,49 @@ async function initializeClient(agentId, isReconnect = false) {
   // During reconnections (e.g. after 515 error), partial pairing creds must be preserved
   if (!isReconnect && !clients.has(agentId)) {
     if (fsSync.existsSync(authPath)) {
-      console.log(`🧹 Cleaning auth for fresh init: ${agentId}`);
+      agentLog(agentId).info({ event: 'auth.reset' }, 'Cleaning auth for fresh init');
       fsSync.rmSync(authPath, { recursive: true, force: true });
     }
+    await authStore.clear(agentId);
+    dropStore(agentId);
+    dropMessageAcks(agentId);
+    dropSendQueue(agentId);
+    suspendedSessions.delete(agentId);
+  }
+  
+  // Plaintext sessions, or ones under a previous master key, are converted once per process
+  if (authStore.encrypted && !encryptionCheckedAgents.has(agentId)) {
+    const converted = await authStore.encryptAgent(agentId);
+    encryptionCheckedAgents.add(agentId);
+    if (converted.encrypted > 0 || converted.rewrapped > 0) {
+      agentLog(agentId).info({ event: 'auth.encrypted', ...converted }, 'Auth data encrypted at rest');
+    }
   }
   
-  const { state, saveCreds } = await useMultiFileAuthState(authPath);
+  const { state, saveCreds } = await useAuthState(authStore, agentId);
   
-  // Simple in-memory contacts store (makeInMemoryStore removed in newer Baileys)
-  const store = { contacts: {} };
+  // Persistent chat/message store (makeInMemoryStore removed in newer Baileys).
+  // Reused across reconnects; contacts are persisted with it.
+  const store = await loadStore(agentId);
   
   // Pre-load any persisted LID mappings from previous sessions into in-memory cache
-  loadLidMappingsFromDisk(agentId);
+  await loadPersistedLidMappings(agentId);
   
   // Fetch latest WA version for protocol compatibility
   let version;
   try {
     const versionInfo = await fetchLatestBaileysVersion();
     version = versionInfo.version;
-    console.log(`📦 Using WA version: ${version.join('.')}`);
+    agentLog(agentId).debug({ event: 'client.wa_version', version: version.join('.') }, 'Using latest WA version');
   } catch (e) {
     version = [2, 3000, 1027934701];
-    console.log(`📦 Could not fetch latest version, using fallback: ${version.join('.')}`);
+    agentLog(agentId).warn({ event: 'client.wa_version', version: version.join('.') }, 'Could not fetch latest WA version, using fallback');
   }
   
   return new Promise((resolve, reject) => {
     const sock = makeWASocket({
       auth: state,
-      logger,
+      logger: logging.baileysFor(agentId),
       version,
       browser: ['insuranai', 'Desktop', '1.0.0'],
       printQRInTerminal: false,
@@ -366,9 +2075,10 @@ async function initializeClient(agentId, isReconnect = false) {
       keepAliveIntervalMs: 30000,
       retryRequestDelayMs: 500,
       getMessage: async (key) => {
-        const msg = sentMessages.get(key.id);
+        // Retries and poll decryption: our send cache first, then the persistent store
+        const msg = sentMessages.get(key.id) || store.messages.findById(key.id)?.message;
         if (msg) {
-          console.log(`🔄 getMessage retry for ${key.id} — returning cached content`);
+          agentLog(agentId).debug({ event: 'message.retry_lookup', message_id: key.id }, 'getMessage retry served from cache');
         }
         return msg || undefined;
       },
@@ -386,16 +2096,19 @@ async function initializeClient(agentId, isReconnect = false) {
           cache.set(c.lid, c.id);
         }
       }
+      if (contacts.length > 0) schedulePersistStore(agentId);
       if (added > 0) {
-        console.log(`📚 Captured ${added} LID↔phone mappings from contacts.upsert for ${agentId}`);
+        agentLog(agentId).info({ event: 'lid.captured', source: 'contacts.upsert', count: added }, 'Captured LID mappings');
         schedulePersistLidMappings(agentId);
       }
     });
     sock.ev.on('contacts.update', (updates) => {
       let added = 0;
+      let changed = false;
       for (const u of updates) {
         if (store.contacts[u.id]) {
           Object.assign(store.contacts[u.id], u);
+          changed = true;
         }
         // Capture LID↔phone mappings exposed via contact updates
         if (u.id && u.lid && u.id.includes('@s.whatsapp.net') && u.lid.includes('@lid')) {
@@ -404,6 +2117,7 @@ async function initializeClient(agentId, isReconnect = false) {
           cache.set(u.lid, u.id);
         }
       }
+      if (changed) schedulePersistStore(agentId);
       if (added > 0) schedulePersistLidMappings(agentId);
     });
 
@@ -413,19 +2127,115 @@ async function initializeClient(agentId, isReconnect = false) {
         if (!Array.isArray(chats)) return;
         for (const chat of chats) {
           if (!chat?.id) continue;
+          store.chats.upsert(chat);
+          schedulePersistStore(agentId);
           if (chat.id.includes('@lid') || chat.id.endsWith('@g.us')) continue;
           if (!store.contacts[chat.id]) {
             store.contacts[chat.id] = { id: chat.id, name: chat.name || undefined };
           }
         }
       } catch (e) {
-        console.warn('⚠️ chats.upsert handler error:', e.message);
+        agentLog(agentId).warn({ event: 'store.handler_failed', handler: 'chats.upsert', err: e }, 'chats.upsert handler error');
+      }
+    });
+    sock.ev.on('chats.update', (updates) => {
+      if (!Array.isArray(updates)) return;
+      for (const u of updates) store.chats.update(u);
+      schedulePersistStore(agentId);
+    });
+    sock.ev.on('chats.delete', (ids) => {
+      if (!Array.isArray(ids)) return;
+      for (const id of ids) store.chats.delete(id);
+      schedulePersistStore(agentId);
+    });
+
+    // Feed the message store with every upsert type (notify, append, history)
+    sock.ev.on('messages.upsert', ({ messages }) => {
+      try {
+        let changed = false;
+        for (const msg of messages || []) {
+          if (store.messages.upsert(msg)) changed = true;
+          if (msg?.key?.fromMe) trackOutgoingMessage(agentId, msg.key, msg.status ?? 'pending');
+        }
+        if (changed) schedulePersistStore(agentId);
+      } catch (e) {
+        agentLog(agentId).warn({ event: 'store.handler_failed', handler: 'messages.upsert', err: e }, 'messages.upsert store handler error');
+      }
+    });
+    sock.ev.on('messages.update', (updates) => {
+      try {
+        let changed = false;
+        for (const { key, update } of updates || []) {
+          if (store.messages.update(key, update)) changed = true;
+        }
+        if (changed) schedulePersistStore(agentId);
+      } catch (e) {
+        agentLog(agentId).warn({ event: 'store.handler_failed', handler: 'messages.update', err: e }, 'messages.update store handler error');
+      }
+      // Ack changes (server/delivered/read/played/error) → tracker, webhook and live stream
+      for (const { key, update } of updates || []) {
+        if (update?.status === undefined || update?.status === null) continue;
+        recordMessageAck(agentId, { key, status: update.status });
+      }
+    });
+    sock.ev.on('message-receipt.update', (receipts) => {
+      for (const { key, receipt } of receipts || []) {
+        const played = toUnixTimestamp(receipt?.playedTimestamp);
+        const read = toUnixTimestamp(receipt?.readTimestamp);
+        const delivered = toUnixTimestamp(receipt?.receiptTimestamp);
+        const status = played ? 'played' : read ? 'read' : delivered ? 'delivered' : null;
+        if (!status) continue;
+        recordMessageAck(agentId, {
+          key,
+          status,
+          participant: receipt.userJid || null,
+          timestamp: played || read || delivered
+        });
+      }
+    });
+
+    // Group lifecycle → webhook (group_update / group_participants) and live stream
+    sock.ev.on('groups.upsert', async (groups) => {
+      for (const g of groups || []) {
+        store.chats.upsert({ id: g.id, name: g.subject });
+        await forwardGroupEvent(agentId, 'group_update', { group_id: g.id, action: 'joined', subject: g.subject || null });
+      }
+      schedulePersistStore(agentId);
+    });
+    sock.ev.on('groups.update', async (updates) => {
+      for (const u of updates || []) {
+        if (!u?.id) continue;
+        if (u.subject) store.chats.update({ id: u.id, name: u.subject });
+        const { id, ...changes } = u;
+        await forwardGroupEvent(agentId, 'group_update', { group_id: id, action: 'updated', changes });
+      }
+      schedulePersistStore(agentId);
+    });
+    sock.ev.on('group-participants.update', async ({ id, author, participants, action }) => {
+      try {
+        const clientData = { sock, store };
+        const described = await Promise.all((participants || []).map(p => describeParticipant(p, clientData, agentId)));
+        await forwardGroupEvent(agentId, 'group_participants', {
+          group_id: id,
+          action,
+          author: author || null,
+          participants: described
+        });
+      } catch (e) {
+        agentLog(agentId).warn({ event: 'group.handler_failed', handler: 'group-participants.update', err: e }, 'group-participants.update handler error');
       }
     });
 
     // Capture LID mappings from history sync (initial connection + ongoing)
-    sock.ev.on('messaging-history.set', ({ contacts: histContacts }) => {
+    sock.ev.on('messaging-history.set', ({ chats: histChats, contacts: histContacts, messages: histMessages }) => {
       try {
+        if (Array.isArray(histChats)) {
+          for (const chat of histChats) store.chats.upsert(chat);
+        }
+        if (Array.isArray(histMessages)) {
+          for (const msg of histMessages) store.messages.upsert(msg);
+        }
+        if (histChats?.length || histMessages?.length || histContacts?.length) schedulePersistStore(agentId);
         if (!Array.isArray(histContacts)) return;
         const cache = getLidCache(agentId);
         let added = 0;
@@ -437,60 +2247,96 @@ async function initializeClient(agentId, isReconnect = false) {
           if (c?.id) store.contacts[c.id] = c;
         }
         if (added > 0) {
-          console.log(`📚 Captured ${added} LID↔phone mappings from history for ${agentId}`);
+          agentLog(agentId).info({ event: 'lid.captured', source: 'messaging-history.set', count: added }, 'Captured LID mappings');
           schedulePersistLidMappings(agentId);
         }
       } catch (e) {
-        console.warn('⚠️ messaging-history.set handler error:', e.message);
+        agentLog(agentId).warn({ event: 'store.handler_failed', handler: 'messaging-history.set', err: e }, 'messaging-history.set handler error');
       }
     });
     
     let qrResolved = false;
+    let pairingRequested = false;
     
     // Connection update handler (QR, connection state)
     sock.ev.on('connection.update', async (update) => {
       const { connection, lastDisconnect, qr } = update;
       
-      // QR Code generated
-      if (qr) {
-        console.log(`📲 QR Code generated for ${agentId}`);
-        isFirstConnection.set(agentId, true); // Mark as new QR connection
+      // Pairing-code login: the first `qr` event means the socket is ready to pair.
+      // Later QR refreshes are ignored; the code stays valid for the whole window.
+      if (qr && pairingPhone && !state.creds.registered) {
+        if (pairingRequested) return;
+        pairingRequested = true;
+        isFirstConnection.set(agentId, true);
         try {
-          const qrImage = await QRCode.toDataURL(qr);
-          qrCodes.set(agentId, qrImage);
-          
-          // Set QR timeout
-          clearQrTimeout(agentId);
-          const timeout = setTimeout(async () => {
-            console.log(`⏰ QR timeout expired for ${agentId} - soft cleanup (preserving auth)`);
-            await destroyClient(agentId, false);
-          }, QR_TIMEOUT_MS);
-          qrTimeouts.set(agentId, timeout);
-          console.log(`⏰ QR timeout set for ${agentId} (${QR_TIMEOUT_MS / 1000}s)`);
-          
-          // Resolve promise on first QR
+          const code = await sock.requestPairingCode(pairingPhone);
+          pairingCodes.set(agentId, {
+            code,
+            phone_number: pairingPhone,
+            expires_at: new Date(Date.now() + QR_TIMEOUT_MS).toISOString()
+          });
+          agentLog(agentId).info({ event: 'connection.pairing_code' }, 'Pairing code generated');
+          publishEvent(agentId, 'pairing_code', {
+            pairing_code: code,
+            pairing_code_formatted: formatPairingCode(code),
+            timeout_seconds: QR_TIMEOUT_MS / 1000
+          });
+          armQrTimeout(agentId);
           if (!qrResolved) {
             qrResolved = true;
             resolve({ sock, store, saveCreds });
           }
         } catch (error) {
-          console.error('Error generating QR:', error);
+          agentLog(agentId).error({ event: 'connection.pairing_code_failed', err: error }, 'Error requesting pairing code');
           if (!qrResolved) {
             qrResolved = true;
             reject(error);
           }
         }
+        return;
       }
       
-      // Connection opened
-      if (connection === 'open') {
-        console.log(`✅ WhatsApp client ready for ${agentId}`);
-        clearQrTimeout(agentId);
+      // QR Code generated
+      if (qr) {
+        agentLog(agentId).info({ event: 'connection.qr' }, 'QR code generated');
+        isFirstConnection.set(agentId, true); // Mark as new QR connection
+        try {
+          const qrImage = await QRCode.toDataURL(qr);
+          qrCodes.set(agentId, qrImage);
+          publishEvent(agentId, 'qr', { qr_code: qrImage, timeout_seconds: QR_TIMEOUT_MS / 1000 });
+          
+          // Set QR timeout
+          armQrTimeout(agentId);
+          
+          // Resolve promise on first QR
+          if (!qrResolved) {
+            qrResolved = true;
+            resolve({ sock, store, saveCreds });
+          }
+        } catch (error) {
+          agentLog(agentId).error({ event: 'connection.qr_failed', err: error }, 'Error generating QR');
+          if (!qrResolved) {
+            qrResolved = true;
+            reject(error);
+          }
+        }
+      }
+      
+      if (connection === 'connecting') {
+        publishEvent(agentId, 'connection', { state: 'connecting', is_reconnect: isReconnect });
+      }
+      
+      // Connection opened
+      if (connection === 'open') {
+        agentLog(agentId).info({ event: 'connection.open' }, 'WhatsApp client ready');
+        clearQrTimeout(agentId);
         clientStates.set(agentId, 'open');
         reconnectAttempts.delete(agentId); // Reset reconnect counter on success
+        clearSuspension(agentId);
         lastSuccessfulConnect.set(agentId, Date.now());
         
         const phoneNumber = jidToPhone(sock.user?.id || '');
+        publishEvent(agentId, 'connection', { state: 'open', phone_number: phoneNumber });
         
         // Determine if we should notify edge function
         const isNewConnection = isFirstConnection.get(agentId) === true;
@@ -499,7 +2345,7 @@ async function initializeClient(agentId, isReconnect = false) {
         const shouldNotify = isNewConnection || timeSinceLastNotify > EDGE_NOTIFY_COOLDOWN_MS;
         
         if (shouldNotify) {
-          console.log(`📞 Phone number: ${phoneNumber} (notifying edge function, reason: ${isNewConnection ? 'new QR connection' : 'cooldown expired'})`);
+          agentLog(agentId).info({ event: 'edge.notify', phone: phoneNumber, reason: isNewConnection ? 'new_qr_connection' : 'cooldown_expired' }, 'Notifying edge function of connection');
           try {
             const response = await fetch('https://wmzbqsegsyagcjgxefqs.supabase.co/functions/v1/whatsapp-personal-connect', {
               method: 'POST',
@@ -513,20 +2359,21 @@ async function initializeClient(agentId, isReconnect = false) {
             });
             
             if (!response.ok) {
-              console.error('Failed to notify edge function:', await response.text());
+              agentLog(agentId).error({ event: 'edge.notify_failed', status: response.status, response: (await response.text()).substring(0, 300) }, 'Edge function rejected connection notify');
             } else {
-              console.log('✅ Edge function notified of connection');
+              agentLog(agentId).info({ event: 'edge.notified' }, 'Edge function notified of connection');
               lastEdgeFunctionNotify.set(agentId, Date.now());
             }
           } catch (error) {
-            console.error('Error notifying edge function:', error);
+            agentLog(agentId).error({ event: 'edge.notify_failed', err: error }, 'Error notifying edge function');
           }
           isFirstConnection.delete(agentId);
         } else {
-          console.log(`✅ Reconnected ${agentId} (skipping edge function notify, last was ${Math.round(timeSinceLastNotify / 1000)}s ago)`);
+          agentLog(agentId).info({ event: 'connection.reconnected', since_last_notify_s: Math.round(timeSinceLastNotify / 1000) }, 'Reconnected (edge function notify skipped)');
         }
         
         qrCodes.delete(agentId);
+        pairingCodes.delete(agentId);
         
         // If the promise hasn't been resolved yet (reconnection from stored creds)
         if (!qrResolved) {
@@ -540,65 +2387,81 @@ async function initializeClient(agentId, isReconnect = false) {
         const error = lastDisconnect?.error;
         const statusCode = error?.output?.statusCode || error?.statusCode;
         const errorMessage = error?.message || error?.output?.payload?.message || 'Unknown';
-        const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
+        const shouldReconnect = statusCode !== DisconnectReason.loggedOut && !shuttingDown && ownsSession(agentId) && !suspendedSessions.has(agentId);
+        const reason = disconnectReasonName(statusCode);
+        lastDisconnects.set(agentId, {
+          status_code: statusCode || null,
+          reason,
+          message: errorMessage,
+          at: new Date().toISOString()
+        });
         
-        console.log(`🔌 Connection closed for ${agentId}. Status: ${statusCode}. Error: ${errorMessage}. Reconnect: ${shouldReconnect}`);
-        console.log(`🔍 Full error:`, JSON.stringify(error, null, 2));
-        clientStates.set(agentId, 'close');
+        agentLog(agentId).warn({ event: 'connection.close', status_code: statusCode || null, reason, error: errorMessage, will_reconnect: shouldReconnect }, 'Connection closed');
+        agentLog(agentId).debug({ event: 'connection.close_error', err: error }, 'Disconnect error detail');
+        if (!suspendedSessions.has(agentId)) clientStates.set(agentId, 'close');
+        metrics.disconnects.inc({ agent_id: agentId, reason });
+        publishEvent(agentId, 'connection', {
+          state: 'close',
+          status_code: statusCode || null,
+          error: errorMessage,
+          will_reconnect: shouldReconnect
+        });
+        
+        // Settle the pending initializeClient() now: whatever follows is this handler's job
+        if (!qrResolved) {
+          qrResolved = true;
+          reject(Object.assign(new Error(`Connection closed: ${statusCode} - ${errorMessage}`), { code: 'CONNECTION_CLOSED' }));
+        }
         
-        if (shouldReconnect) {
+        if (shuttingDown || !ownsSession(agentId) || suspendedSessions.has(agentId)) {
+          // Closed by gracefulShutdown(), after losing the lease or by an export handing the
+          // session over: auth stays for whoever restores it next
+        } else if (shouldReconnect) {
+          const action = reconnectActionFor(reason);
           const attempts = (reconnectAttempts.get(agentId) || 0) + 1;
           reconnectAttempts.set(agentId, attempts);
           
-          // Cooldown: if last successful connect was very recent, wait longer
-          const lastConnect = lastSuccessfulConnect.get(agentId) || 0;
-          const timeSinceLastConnect = Date.now() - lastConnect;
-          const cooldownDelay = timeSinceLastConnect < RECONNECT_COOLDOWN_MS 
-            ? RECONNECT_COOLDOWN_MS - timeSinceLastConnect 
-            : 0;
-          
-          if (attempts <= MAX_RECONNECT_ATTEMPTS) {
-            const baseDelay = Math.min(attempts * 3000, 15000);
-            const delay = Math.max(baseDelay, cooldownDelay);
-            console.log(`🔄 Reconnect attempt ${attempts}/${MAX_RECONNECT_ATTEMPTS} for ${agentId} in ${delay/1000}s (cooldown: ${cooldownDelay/1000}s)...`);
+          if (action === 'suspend') {
+            await suspendSession(agentId, { reason, statusCode: statusCode || null, message: errorMessage });
+          } else if (RECONNECT_MAX_ATTEMPTS > 0 && attempts > RECONNECT_MAX_ATTEMPTS) {
+            agentLog(agentId).error({ event: 'connection.reconnect_gave_up', max_attempts: RECONNECT_MAX_ATTEMPTS }, 'Max reconnect attempts reached, suspending');
+            publishEvent(agentId, 'reconnect', { gave_up: true, max_attempts: RECONNECT_MAX_ATTEMPTS });
+            reconnectAttempts.set(agentId, attempts - 1);
+            await suspendSession(agentId, { reason: 'max_attempts', statusCode: statusCode || null, message: errorMessage });
+          } else {
+            metrics.reconnectAttempts.inc({ agent_id: agentId, reason });
+            
+            // Cooldown: if last successful connect was very recent, wait longer
+            const lastConnect = lastSuccessfulConnect.get(agentId) || 0;
+            const timeSinceLastConnect = Date.now() - lastConnect;
+            const cooldownDelay = timeSinceLastConnect < RECONNECT_COOLDOWN_MS 
+              ? RECONNECT_COOLDOWN_MS - timeSinceLastConnect 
+              : 0;
+            const delay = action === 'restart' ? 0 : Math.max(reconnectDelayMs(attempts), cooldownDelay);
+            
+            agentLog(agentId).info({ event: 'connection.reconnect_scheduled', action, attempt: attempts, max_attempts: RECONNECT_MAX_ATTEMPTS, delay_ms: delay, cooldown_ms: cooldownDelay }, 'Reconnect scheduled');
+            publishEvent(agentId, 'reconnect', { attempt: attempts, max_attempts: RECONNECT_MAX_ATTEMPTS, delay_ms: delay });
             await new Promise(r => setTimeout(r, delay));
+            if (shuttingDown || !ownsSession(agentId)) return;
             try {
               const reconnected = await initializeClient(agentId, true);
               clients.set(agentId, reconnected);
             } catch (reconnectError) {
-              console.error(`❌ Reconnect failed for ${agentId}:`, reconnectError.message);
-              clients.delete(agentId);
-              clientStates.delete(agentId);
-            }
-          } else {
-            console.log(`🛑 Max reconnect attempts (${MAX_RECONNECT_ATTEMPTS}) reached for ${agentId}. Stopping.`);
-            reconnectAttempts.delete(agentId);
-            clients.delete(agentId);
-            qrCodes.delete(agentId);
-            clientStates.delete(agentId);
-            
-            // Notify Supabase to mark session as inactive
-            try {
-              const connectUrl = WEBHOOK_URL.replace('webhook-whatsapp-personal', 'whatsapp-personal-connect');
-              await fetch(connectUrl, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                  'Authorization': `Bearer ${MICROSERVICE_SECRET}`
-                },
-                body: JSON.stringify({ action: 'disconnect', agent_id: agentId })
-              });
-              console.log(`✅ Supabase notified: session inactive for ${agentId}`);
-            } catch (e) {
-              console.error(`⚠️ Could not notify Supabase:`, e.message);
+              agentLog(agentId).error({ event: 'connection.reconnect_failed', attempt: attempts, err: reconnectError }, 'Reconnect failed');
+              // A close is handled by the new socket's own handler; anything else never got a socket
+              if (reconnectError.code !== 'CONNECTION_CLOSED') {
+                await suspendSession(agentId, { reason: 'reconnect_failed', message: reconnectError.message });
+              }
             }
           }
         } else {
           // Logged out by user - clean up
-          console.log(`🚪 User logged out for ${agentId}, cleaning up`);
+          agentLog(agentId).info({ event: 'connection.logged_out' }, 'User logged out, cleaning up');
+          publishEvent(agentId, 'connection', { state: 'logged_out' });
           clearQrTimeout(agentId);
           clients.delete(agentId);
           qrCodes.delete(agentId);
+          pairingCodes.delete(agentId);
           clientStates.delete(agentId);
           reconnectAttempts.delete(agentId);
           
@@ -608,20 +2471,21 @@ async function initializeClient(agentId, isReconnect = false) {
             if (fsSync.existsSync(authDir)) {
               fsSync.rmSync(authDir, { recursive: true, force: true });
             }
+            await authStore.clear(agentId);
           } catch (e) {
-            console.error(`⚠️ Error cleaning auth for ${agentId}:`, e.message);
+            agentLog(agentId).error({ event: 'auth.delete_failed', err: e }, 'Error cleaning auth');
           }
-        }
-        
-        if (!qrResolved) {
-          qrResolved = true;
-          reject(new Error(`Connection closed: ${statusCode} - ${errorMessage}`));
+          dropStore(agentId);
+          dropMessageAcks(agentId);
+          dropSendQueue(agentId);
+          suspendedSessions.delete(agentId);
+          await releaseSession(agentId);
         }
       }
     });
     
     // Save credentials on update
-    sock.ev.on('creds.update', saveCreds);
+    sock.ev.on('creds.update', () => trackCredsWrite(saveCreds()));
     
     // Message handler (incoming and outgoing)
     sock.ev.on('messages.upsert', async ({ messages, type }) => {
@@ -640,6 +2504,9 @@ async function initializeClient(agentId, isReconnect = false) {
           const messageContent = msg.message;
           if (!messageContent) continue; // Protocol messages, skip
           
+          // Protocol housekeeping (key shares, ephemeral settings, history notices) is not a chat message
+          if (detectMessageType(messageContent).type === 'protocol') continue;
+          
           // Resolve conversation target (4-layer LID resolution, async)
           let conversationTarget = await resolveContactId(remoteJid, msg.pushName, store, sock, agentId);
           
@@ -677,17 +2544,24 @@ async function initializeClient(agentId, isReconnect = false) {
                   contactName = getContactName(pn, store, msg.pushName);
                   getLidCache(agentId).set(remoteJid, pn);
                   schedulePersistLidMappings(agentId);
-                  console.log(`✅ LID resolved via active signalRepository call: ${remoteJid} -> ${pn}`);
+                  metrics.lidResolutions.inc({ layer: 'active_signal_repository' });
+                  agentLog(agentId).debug({ event: 'lid.resolved', layer: 'active_signal_repository', lid: remoteJid, jid: pn }, 'LID resolved via active signalRepository call');
                 }
               }
             } catch (_) { /* silent: keep original flow */ }
           }
           
-          console.log(`📨 Message ${fromMe ? 'SENT' : 'RECEIVED'} ${fromMe ? 'to' : 'from'} ${contactName} (${jidToPhone(conversationTarget)})`);
+          agentLog(agentId).info({ event: fromMe ? 'message.sent' : 'message.received', message_id: msg.key.id, jid: conversationTarget }, `Message ${fromMe ? 'sent' : 'received'}`);
           
           // Detect message type (using unwrapped content)
           const unwrappedContent = unwrapMessage(messageContent);
           const { type: messageType, baileysType } = detectMessageType(messageContent);
+          metrics.messages.inc({
+            direction: fromMe ? 'outbound' : 'inbound',
+            type: messageType,
+            source: fromMe ? 'phone' : 'whatsapp'
+          });
+          if (!fromMe) lastInboundAt.set(agentId, Date.now());
           
           // Always capture both original JID and resolved target
           const originalJid = remoteJid;
@@ -757,31 +2631,31 @@ async function initializeClient(agentId, isReconnect = false) {
           if ((messageType === 'media' || messageType === 'voice' || messageType === 'sticker') && !fromMe) {
             let downloadStrategy = 'none';
             try {
-              console.log(`📥 Downloading media (type: ${baileysType})...`);
+              agentLog(agentId).debug({ event: 'media.downloading', message_id: msg.key.id, media_type: baileysType }, 'Downloading media');
               
               // Strategy 1: Standard downloadMediaMessage with buffer
               try {
                 const buffer = await downloadMediaMessage(msg, 'buffer', {}, {
-                  logger,
+                  logger: logging.baileysFor(agentId),
                   reuploadRequest: sock.updateMediaMessage
                 });
                 if (buffer && buffer.length > 0) {
                   mediaBuffer = buffer;
                   downloadStrategy = 'buffer';
-                  console.log(`✅ Media downloaded via buffer strategy, size: ${buffer.length} bytes`);
+                  agentLog(agentId).debug({ event: 'media.downloaded', message_id: msg.key.id, strategy: 'buffer', bytes: buffer.length }, 'Media downloaded');
                 } else {
-                  console.warn('⚠️ downloadMediaMessage returned empty buffer');
+                  agentLog(agentId).warn({ event: 'media.download_empty', message_id: msg.key.id, strategy: 'buffer' }, 'downloadMediaMessage returned an empty buffer');
                 }
               } catch (bufErr) {
-                console.warn('⚠️ Buffer download failed:', bufErr.message);
+                agentLog(agentId).warn({ event: 'media.download_failed', message_id: msg.key.id, strategy: 'buffer', err: bufErr }, 'Buffer download failed');
               }
 
               // Strategy 2: Stream download (only for voice/audio if buffer failed)
               if (!mediaBuffer && (messageType === 'voice' || baileysType === 'audio')) {
                 try {
-                  console.log('🔄 Trying stream download strategy...');
+                  agentLog(agentId).debug({ event: 'media.downloading', message_id: msg.key.id, strategy: 'stream' }, 'Trying stream download');
                   const stream = await downloadMediaMessage(msg, 'stream', {}, {
-                    logger,
+                    logger: logging.baileysFor(agentId),
                     reuploadRequest: sock.updateMediaMessage
                   });
                   if (stream) {
@@ -793,11 +2667,11 @@ async function initializeClient(agentId, isReconnect = false) {
                     if (combined.length > 0) {
                       mediaBuffer = combined;
                       downloadStrategy = 'stream';
-                      console.log(`✅ Media downloaded via stream strategy, size: ${combined.length} bytes`);
+                      agentLog(agentId).debug({ event: 'media.downloaded', message_id: msg.key.id, strategy: 'stream', bytes: combined.length }, 'Media downloaded');
                     }
                   }
                 } catch (streamErr) {
-                  console.warn('⚠️ Stream download failed:', streamErr.message);
+                  agentLog(agentId).warn({ event: 'media.download_failed', message_id: msg.key.id, strategy: 'stream', err: streamErr }, 'Stream download failed');
                 }
               }
 
@@ -807,7 +2681,7 @@ async function initializeClient(agentId, isReconnect = false) {
                   const audioMsg = unwrappedContent.audioMessage;
                   if (audioMsg) {
                     const mediaType = audioMsg.ptt ? 'ptt' : 'audio';
-                    console.log(`🔄 Trying downloadContentFromMessage (${mediaType})...`);
+                    agentLog(agentId).debug({ event: 'media.downloading', message_id: msg.key.id, strategy: 'contentFromMessage', media_type: mediaType }, 'Trying downloadContentFromMessage');
                     const stream = await downloadContentFromMessage(audioMsg, mediaType);
                     const chunks = [];
                     for await (const chunk of stream) {
@@ -817,11 +2691,11 @@ async function initializeClient(agentId, isReconnect = false) {
                     if (combined.length > 0) {
                       mediaBuffer = combined;
                       downloadStrategy = 'contentFromMessage';
-                      console.log(`✅ Media downloaded via downloadContentFromMessage, size: ${combined.length} bytes`);
+                      agentLog(agentId).debug({ event: 'media.downloaded', message_id: msg.key.id, strategy: 'contentFromMessage', bytes: combined.length }, 'Media downloaded');
                     }
                   }
                 } catch (contentErr) {
-                  console.warn('⚠️ downloadContentFromMessage failed:', contentErr.message);
+                  agentLog(agentId).warn({ event: 'media.download_failed', message_id: msg.key.id, strategy: 'contentFromMessage', err: contentErr }, 'downloadContentFromMessage failed');
                 }
               }
 
@@ -837,31 +2711,16 @@ async function initializeClient(agentId, isReconnect = false) {
                 const extension = mimeType.split('/')[1]?.split(';')[0] || 'bin';
                 mediaFileName = `whatsapp-${msg.key.id}-${timestamp}.${extension}`;
                 
-                // Upload to Supabase Storage
-                const supabaseUrl = WEBHOOK_URL.replace('/functions/v1/webhook-whatsapp-personal', '');
-                const storageUrl = `${supabaseUrl}/storage/v1/object/whatsapp-media/${mediaFileName}`;
-                
-                const storageResponse = await fetch(storageUrl, {
-                  method: 'POST',
-                  headers: {
-                    'Authorization': `Bearer ${SUPABASE_SERVICE_ROLE_KEY || WEBHOOK_SECRET}`,
-                    'Content-Type': mimeType,
-                  },
-                  body: mediaBuffer
-                });
-                
-                if (storageResponse.ok) {
-                  mediaUrl = `${supabaseUrl}/storage/v1/object/public/whatsapp-media/${mediaFileName}`;
-                  console.log(`✅ Media uploaded: ${mediaUrl}`);
-                } else {
-                  const errorText = await storageResponse.text();
-                  console.error('❌ Failed to upload media:', errorText);
-                }
+                // Upload through the configured storage driver (falls back to local storage)
+                const stored = await storeInboundMedia(agentId, mediaFileName, mediaBuffer, mimeType);
+                mediaUrl = stored.url;
+                if (stored.driver) messageMetadata.media_storage = stored.driver;
               } else {
-                console.error(`❌ All download strategies failed for ${messageType}/${baileysType}`);
+                agentLog(agentId).error({ event: 'media.download_failed', message_id: msg.key.id, message_type: messageType, media_type: baileysType }, 'All download strategies failed');
               }
+              metrics.mediaDownloads.inc({ strategy: mediaBuffer ? downloadStrategy : 'failed', message_type: messageType });
             } catch (error) {
-              console.error('❌ Error downloading/uploading media:', error.message);
+              agentLog(agentId).error({ event: 'media.failed', message_id: msg.key.id, err: error }, 'Error downloading/uploading media');
             }
           }
           
@@ -892,12 +2751,12 @@ async function initializeClient(agentId, isReconnect = false) {
                 if (base64Audio.length < 5 * 1024 * 1024) { // Only if < 5MB base64
                   messageMetadata.media_base64 = base64Audio;
                   messageMetadata.media_size = mediaBuffer.length;
-                  console.log(`📦 Voice base64 fallback attached, size: ${mediaBuffer.length} bytes`);
+                  agentLog(agentId).debug({ event: 'media.base64_attached', message_id: msg.key.id, media_type: 'voice', bytes: mediaBuffer.length }, 'Voice base64 fallback attached');
                 } else {
-                  console.warn('⚠️ Voice too large for base64 fallback:', mediaBuffer.length);
+                  agentLog(agentId).warn({ event: 'media.base64_skipped', message_id: msg.key.id, media_type: 'voice', bytes: mediaBuffer.length }, 'Voice too large for base64 fallback');
                 }
               } catch (b64err) {
-                console.error('❌ Failed to encode voice base64:', b64err.message);
+                agentLog(agentId).error({ event: 'media.base64_failed', message_id: msg.key.id, media_type: 'voice', err: b64err }, 'Failed to encode voice as base64');
               }
             }
             // Fallback: send base64 for PDF documents when upload failed
@@ -907,15 +2766,30 @@ async function initializeClient(agentId, isReconnect = false) {
                 if (base64Doc.length < 8 * 1024 * 1024) { // Only if < 8MB base64
                   messageMetadata.media_base64 = base64Doc;
                   messageMetadata.media_size = mediaBuffer.length;
-                  console.log(`📦 Document base64 fallback attached, size: ${mediaBuffer.length} bytes`);
+                  agentLog(agentId).debug({ event: 'media.base64_attached', message_id: msg.key.id, media_type: 'document', bytes: mediaBuffer.length }, 'Document base64 fallback attached');
+                } else {
+                  agentLog(agentId).warn({ event: 'media.base64_skipped', message_id: msg.key.id, media_type: 'document', bytes: mediaBuffer.length }, 'Document too large for base64 fallback');
+                }
+              } catch (b64err) {
+                agentLog(agentId).error({ event: 'media.base64_failed', message_id: msg.key.id, media_type: 'document', err: b64err }, 'Failed to encode document as base64');
+              }
+            }
+            // Fallback: send base64 for images, video and stickers when every storage driver failed
+            if ((baileysType === 'image' || baileysType === 'video' || baileysType === 'sticker') && !mediaUrl && mediaBuffer) {
+              try {
+                const base64Media = mediaBuffer.toString('base64');
+                if (base64Media.length < MEDIA_BASE64_FALLBACK_MAX) {
+                  messageMetadata.media_base64 = base64Media;
+                  messageMetadata.media_size = mediaBuffer.length;
+                  agentLog(agentId).debug({ event: 'media.base64_attached', message_id: msg.key.id, media_type: baileysType, bytes: mediaBuffer.length }, 'Base64 fallback attached');
                 } else {
-                  console.warn('⚠️ Document too large for base64 fallback:', mediaBuffer.length);
+                  agentLog(agentId).warn({ event: 'media.base64_skipped', message_id: msg.key.id, media_type: baileysType, bytes: mediaBuffer.length }, 'Media too large for base64 fallback');
                 }
               } catch (b64err) {
-                console.error('❌ Failed to encode document base64:', b64err.message);
+                agentLog(agentId).error({ event: 'media.base64_failed', message_id: msg.key.id, media_type: baileysType, err: b64err }, 'Failed to encode media as base64');
               }
             }
-            console.log(`📋 Voice metadata: downloadStrategy=${typeof downloadStrategy !== 'undefined' ? downloadStrategy : 'n/a'}, has_buffer=${!!mediaBuffer}, has_url=${!!mediaUrl}, has_filename=${!!mediaFileName}, has_base64=${!!messageMetadata.media_base64}`);
+            agentLog(agentId).debug({ event: 'media.voice_summary', message_id: msg.key.id, has_buffer: !!mediaBuffer, has_url: !!mediaUrl, has_filename: !!mediaFileName, has_base64: !!messageMetadata.media_base64 }, 'Voice metadata');
           }
           
           // Handle quoted/reply messages
@@ -950,48 +2824,51 @@ async function initializeClient(agentId, isReconnect = false) {
             const caption = extractMessageText(messageContent);
             messageBody = mediaTypeLabel[baileysType] || '📎 Archivo multimedia';
             if (caption) messageBody += `: ${caption}`;
+          } else {
+            const interactive = describeInteractiveMessage(messageType, unwrappedContent, msg, sock, store);
+            if (interactive) {
+              messageBody = interactive.body;
+              Object.assign(messageMetadata, interactive.metadata);
+            }
           }
           
-          // Send webhook to Supabase (identical payload to original)
-          const webhookResponse = await fetch(WEBHOOK_URL, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${WEBHOOK_SECRET}`
-            },
-            body: JSON.stringify({
-              agent_id: agentId,
-              from: conversationTarget,
-              to: fromMe ? remoteJid : sock.user?.id,
-              participant: participant,
-              body: messageBody,
-              timestamp: msg.messageTimestamp,
-              has_media: messageType === 'media' || messageType === 'voice' || messageType === 'sticker',
-              contact_name: contactName,
-              is_group: isGroup,
-              sender_name: senderName,
-              from_me: fromMe,
-              message_type: messageType,
-              message_metadata: messageMetadata,
-              // ✅ Top-level message_id (Baileys msg.key.id) — needed by webhook to locate
-              // outbound messages by external_message_id and seed LID↔PN mapping on aia-echo.
-              message_id: msg.key?.id || null,
-              remote_jid: remoteJid,
-              // recipient_lid: when sending to a phone JID, Baileys sometimes exposes the
-              // recipient's LID in remoteJidAlt. Forward it so the webhook can seed the map.
-              recipient_lid: msg.key?.remoteJidAlt && String(msg.key.remoteJidAlt).includes('@lid')
-                ? String(msg.key.remoteJidAlt).split('@')[0]
-                : null
-            })
-          });
+          // Queue webhook to Supabase (identical payload to original, delivered with retries)
+          const webhookPayload = {
+            agent_id: agentId,
+            from: conversationTarget,
+            to: fromMe ? remoteJid : sock.user?.id,
+            participant: participant,
+            body: messageBody,
+            timestamp: msg.messageTimestamp,
+            has_media: messageType === 'media' || messageType === 'voice' || messageType === 'sticker',
+            contact_name: contactName,
+            is_group: isGroup,
+            sender_name: senderName,
+            from_me: fromMe,
+            message_type: messageType,
+            message_metadata: messageMetadata,
+            // ✅ Top-level message_id (Baileys msg.key.id) — needed by webhook to locate
+            // outbound messages by external_message_id and seed LID↔PN mapping on aia-echo.
+            message_id: msg.key?.id || null,
+            remote_jid: remoteJid,
+            // recipient_lid: when sending to a phone JID, Baileys sometimes exposes the
+            // recipient's LID in remoteJidAlt. Forward it so the webhook can seed the map.
+            recipient_lid: msg.key?.remoteJidAlt && String(msg.key.remoteJidAlt).includes('@lid')
+              ? String(msg.key.remoteJidAlt).split('@')[0]
+              : null
+          };
+          await enqueueWebhook(agentId, webhookPayload);
+          agentLog(agentId).debug({ event: 'webhook.queued', message_id: msg.key.id, direction: fromMe ? 'outgoing' : 'incoming', message_type: messageType }, 'Message webhook queued');
           
-          if (!webhookResponse.ok) {
-            console.error('Webhook error:', await webhookResponse.text());
-          } else {
-            console.log(`✅ Webhook sent (${fromMe ? 'outgoing' : 'incoming'}, type: ${messageType})`);
-          }
+          // Live stream gets the same payload, minus any inline base64 media
+          const { media_base64: _inlineMedia, ...streamMetadata } = messageMetadata;
+          publishEvent(agentId, 'message', {
+            ...webhookPayload,
+            direction: fromMe ? 'outbound' : 'inbound',
+            message_metadata: streamMetadata
+          });
         } catch (error) {
-          console.error('Error processing message:', error);
+          agentLog(agentId).error({ event: 'message.process_failed', message_id: msg.key?.id, err: error }, 'Error processing message');
         }
       }
     });
@@ -1024,16 +2901,199 @@ app.get('/health', (req, res) => {
   });
 });
 
+// ─── LIVENESS, READINESS & DIAGNOSTICS ───
+// /health/live only says the process answers. /health/ready is what a load balancer
+// should gate traffic on: auth dir writable, auth store reachable, saved sessions
+// restored, webhook reachable.
+// The webhook probe is cached for READINESS_WEBHOOK_CACHE_MS so frequent probes don't
+// hammer the edge function.
+let webhookProbe = null; // { ok, status, latency_ms, error, checked_at }
+
+async function checkAuthDirWritable() {
+  const probe = path.join(AUTH_DIR, `.ready-${process.pid}`);
+  try {
+    await fs.writeFile(probe, String(Date.now()));
+    await fs.rm(probe, { force: true });
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+async function checkAuthStore() {
+  try {
+    await authStore.ping();
+    return { ok: true, driver: authStore.name };
+  } catch (e) {
+    return { ok: false, driver: authStore.name, error: e.message };
+  }
+}
+
+// Any HTTP answer below 500 counts as reachable (the function may well reject an unsigned HEAD)
+async function checkWebhookReachable() {
+  if (webhookProbe && Date.now() - Date.parse(webhookProbe.checked_at) < READINESS_WEBHOOK_CACHE_MS) {
+    return webhookProbe;
+  }
+  const started = Date.now();
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: 'HEAD',
+      signal: AbortSignal.timeout(READINESS_WEBHOOK_TIMEOUT_MS)
+    });
+    webhookProbe = { ok: response.status < 500, status: response.status, error: null };
+  } catch (e) {
+    webhookProbe = { ok: false, status: null, error: e.name === 'TimeoutError' ? 'timeout' : e.message };
+  }
+  webhookProbe.latency_ms = Date.now() - started;
+  webhookProbe.checked_at = new Date().toISOString();
+  return webhookProbe;
+}
+
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', uptime_s: Math.round(process.uptime()), timestamp: new Date().toISOString() });
+});
+
+app.get('/health/ready', async (req, res) => {
+  const [authDir, authStoreCheck, webhook] = await Promise.all([checkAuthDirWritable(), checkAuthStore(), checkWebhookReachable()]);
+  const checks = {
+    auth_dir_writable: authDir,
+    auth_store: authStoreCheck,
+    sessions_restored: { ok: sessionsRestored },
+    webhook_reachable: webhook
+  };
+  const ready = Object.values(checks).every(c => c.ok);
+  const sessions = { connecting: 0, open: 0, close: 0 };
+  for (const state of clientStates.values()) sessions[state] = (sessions[state] || 0) + 1;
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checks,
+    sessions,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Everything worth knowing when one agent misbehaves
+app.get('/diagnostics/:agent_id', requireScope('read'), async (req, res) => {
+  const { agent_id } = req.params;
+  const clientData = clients.get(agent_id);
+  const lastConnect = lastSuccessfulConnect.get(agent_id);
+  const lastInbound = lastInboundAt.get(agent_id);
+  const sendQueue = sendQueues.get(agent_id);
+  let hasSavedAuth = null; // null: the auth store could not be read
+  try {
+    hasSavedAuth = !!(await authStore.read(agent_id, 'creds'));
+  } catch (e) {
+    agentLog(agent_id).warn({ event: 'auth.read_failed', driver: authStore.name, err: e }, 'Could not read creds');
+  }
+  res.json({
+    agent_id,
+    has_client: !!clientData,
+    state: clientStates.get(agent_id) || null,
+    has_saved_auth: hasSavedAuth,
+    auth_store: authStore.name,
+    auth_encrypted: authStore.encrypted,
+    phone_number: clientData?.sock?.user?.id ? jidToPhone(clientData.sock.user.id) : null,
+    last_connect_at: lastConnect ? new Date(lastConnect).toISOString() : null,
+    reconnect_attempts: reconnectAttempts.get(agent_id) || 0,
+    max_reconnect_attempts: RECONNECT_MAX_ATTEMPTS,
+    suspended: suspendedSessions.get(agent_id) || null,
+    last_disconnect: lastDisconnects.get(agent_id) || null,
+    pending_qr: qrCodes.has(agent_id),
+    pending_pairing_code: pairingCodes.has(agent_id),
+    lid_cache_size: lidToPhoneCache.get(agent_id)?.size || 0,
+    last_inbound_message_at: lastInbound ? new Date(lastInbound).toISOString() : null,
+    store: clientData?.store
+      ? { chats: clientData.store.chats.all().length, contacts: Object.keys(clientData.store.contacts).length }
+      : null,
+    send_queue_depth: sendQueue?.items.length || 0,
+    webhook_queue_pending: webhookQueues.get(agent_id)?.pending.size || 0,
+    instance_id: INSTANCE_ID,
+    lease: await leases.owner(agent_id).catch(() => null)
+  });
+});
+
+// Which instance runs which session
+app.get('/cluster', requireScope('admin'), async (req, res) => {
+  try {
+    res.json({
+      instance_id: INSTANCE_ID,
+      url: INSTANCE_URL,
+      driver: leases.name,
+      routing: CLUSTER_ROUTING,
+      owned: Array.from(ownedAgents),
+      leases: await leases.list()
+    });
+  } catch (error) {
+    log.error({ event: 'cluster.list_failed', err: error }, 'Error listing session leases');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Prometheus scrape endpoint (admin key for '*' or the master secret as bearer token)
+app.get('/metrics', requireScope('admin'), (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metricsRegistry.render());
+});
+
+// Log levels: global (admin key for '*') and per agent. `level` is this service's logs,
+// `baileys_level` the library's internal logs; null clears a per-agent override.
+function validateLogLevels(body) {
+  for (const key of ['level', 'baileys_level']) {
+    const value = body[key];
+    if (value !== undefined && value !== null && !isValidLevel(value)) {
+      return `${key} must be one of: ${LOG_LEVELS.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+app.get('/logging', requireScope('admin'), (req, res) => {
+  res.json(logging.describe());
+});
+
+app.put('/logging', requireScope('admin'), (req, res) => {
+  const body = req.body || {};
+  const invalid = validateLogLevels(body) || (body.level === null || body.baileys_level === null ? 'Global levels cannot be cleared' : null);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  if (body.level) logging.setLevel(body.level);
+  if (body.baileys_level) logging.setBaileysLevel(body.baileys_level);
+  log.info({ event: 'logging.updated', level: body.level, baileys_level: body.baileys_level }, 'Global log levels updated');
+  res.json(logging.describe());
+});
+
+app.put('/logging/:agent_id', requireScope('admin'), (req, res) => {
+  const body = req.body || {};
+  const invalid = validateLogLevels(body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  logging.setAgentLevels(req.params.agent_id, body);
+  agentLog(req.params.agent_id).info({ event: 'logging.updated', level: body.level, baileys_level: body.baileys_level }, 'Agent log levels updated');
+  res.json({
+    agent_id: req.params.agent_id,
+    level: agentLog(req.params.agent_id).level,
+    baileys_level: logging.baileysFor(req.params.agent_id).level,
+    overrides: logging.describe().agents[req.params.agent_id] || {}
+  });
+});
+
 // Initialize connection
-app.post('/init', authMiddleware, async (req, res) => {
+app.post('/init', requireScope('session'), async (req, res) => {
   try {
-    const { agent_id } = req.body;
+    const { agent_id, phone_number } = req.body;
     
     if (!agent_id) {
       return res.status(400).json({ error: 'agent_id is required' });
     }
     
-    console.log(`🔄 Init request for agent: ${agent_id}`);
+    // Optional pairing-code login: phone number in international format, digits only
+    const pairingPhone = phone_number ? String(phone_number).replace(/\D/g, '') : null;
+    if (phone_number && (pairingPhone.length < 8 || pairingPhone.length > 15)) {
+      return res.status(400).json({ error: 'phone_number must be an international number (8-15 digits, country code included)' });
+    }
+    
+    agentLog(agent_id).info({ event: 'session.init', method: pairingPhone ? 'pairing_code' : 'qr' }, 'Init request');
     
     // Check if already connected
     const existingClient = clients.get(agent_id);
@@ -1041,7 +3101,7 @@ app.post('/init', authMiddleware, async (req, res) => {
       const currentState = clientStates.get(agent_id);
       if (currentState === 'open') {
         const phoneNumber = jidToPhone(existingClient.sock.user?.id || '');
-        console.log(`✅ Agent ${agent_id} already connected`);
+        agentLog(agent_id).info({ event: 'session.already_connected' }, 'Agent already connected');
         return res.json({
           success: true,
           already_connected: true,
@@ -1054,7 +3114,7 @@ app.post('/init', authMiddleware, async (req, res) => {
     // Check session limit
     const activeCount = countConnectedClients();
     if (activeCount >= MAX_CONCURRENT_SESSIONS && !existingClient) {
-      console.log(`🚫 Session limit reached (${activeCount}/${MAX_CONCURRENT_SESSIONS})`);
+      agentLog(agent_id).warn({ event: 'session.limit_reached', active: activeCount, max: MAX_CONCURRENT_SESSIONS }, 'Session limit reached');
       return res.status(503).json({
         error: 'Límite de sesiones alcanzado',
         active_clients: activeCount,
@@ -1065,22 +3125,23 @@ app.post('/init', authMiddleware, async (req, res) => {
     
     // Destroy existing non-connected client
     if (existingClient) {
-      console.log(`🔄 Destroying existing non-connected client for ${agent_id}`);
+      agentLog(agent_id).info({ event: 'session.replace' }, 'Destroying existing non-connected client');
       await destroyClient(agent_id);
     }
     
     // Create fresh client
-    console.log(`📱 Creating fresh Baileys client for ${agent_id}`);
+    agentLog(agent_id).info({ event: 'session.create' }, 'Creating fresh Baileys client');
     
     try {
-      const clientData = await initializeClient(agent_id);
+      const clientData = await initializeClient(agent_id, false, { pairingPhone });
       clients.set(agent_id, clientData);
       clientStates.set(agent_id, 'connecting');
       
       const qrCode = qrCodes.get(agent_id);
+      const pairing = pairingCodes.get(agent_id);
       
       // If no QR but client is connected (restored from saved creds)
-      if (!qrCode && clientStates.get(agent_id) === 'open') {
+      if (!qrCode && !pairing && clientStates.get(agent_id) === 'open') {
         const phoneNumber = jidToPhone(clientData.sock.user?.id || '');
         return res.json({
           success: true,
@@ -1090,24 +3151,37 @@ app.post('/init', authMiddleware, async (req, res) => {
         });
       }
       
+      if (pairing) {
+        return res.json({
+          success: true,
+          method: 'pairing_code',
+          pairing_code: pairing.code,
+          pairing_code_formatted: formatPairingCode(pairing.code),
+          phone_number: pairing.phone_number,
+          session_id: agent_id,
+          timeout_seconds: QR_TIMEOUT_MS / 1000
+        });
+      }
+      
       if (!qrCode) {
         throw new Error('QR code not generated after initialization');
       }
       
       return res.json({
         success: true,
+        method: 'qr',
         qr_code: qrCode,
         session_id: agent_id,
         timeout_seconds: QR_TIMEOUT_MS / 1000
       });
     } catch (initError) {
-      console.error(`❌ Error during client initialization for ${agent_id}:`, initError);
+      agentLog(agent_id).error({ event: 'session.init_failed', err: initError }, 'Error during client initialization');
       await destroyClient(agent_id);
       throw initError;
     }
   } catch (error) {
-    console.error('❌ Error in /init endpoint:', error);
-    res.status(500).json({ error: error.message });
+    agentLog(req.body?.agent_id).error({ event: 'session.init_failed', err: error }, 'Error in /init');
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -1123,13 +3197,16 @@ function countConnectedClients() {
 }
 
 // Check status
-app.get('/status/:agent_id', authMiddleware, async (req, res) => {
+app.get('/status/:agent_id', requireScope('read'), async (req, res) => {
   try {
     const { agent_id } = req.params;
     const clientData = clients.get(agent_id);
     
     if (!clientData || !clientData.sock) {
-      return res.json({ connected: false });
+      const suspension = suspendedSessions.get(agent_id);
+      return res.json(suspension
+        ? { connected: false, state: 'SUSPENDED', suspended: suspension }
+        : { connected: false });
     }
     
     const currentState = clientStates.get(agent_id);
@@ -1142,24 +3219,480 @@ app.get('/status/:agent_id', authMiddleware, async (req, res) => {
         state: 'CONNECTED'
       });
     } else {
-      // Include latest QR code if available (for reconnection scenarios)
+      // Include latest QR code / pending pairing code if available (for reconnection scenarios)
       const latestQr = qrCodes.get(agent_id);
-      res.json({ connected: false, state: currentState || 'unknown', qr_code: latestQr || null });
+      const pairing = pairingCodes.get(agent_id);
+      res.json({
+        connected: false,
+        state: currentState || 'unknown',
+        qr_code: latestQr || null,
+        pairing_code: pairing?.code || null,
+        pairing_code_formatted: pairing ? formatPairingCode(pairing.code) : null,
+        pairing_code_expires_at: pairing?.expires_at || null
+      });
     }
   } catch (error) {
-    console.error('Error checking status:', error);
+    agentLog(req.params.agent_id).error({ event: 'session.status_failed', err: error }, 'Error checking status');
     res.json({ connected: false, error: error.message });
   }
 });
 
+// Helper: normalize a /send recipient to a Baileys JID and verify it exists on WhatsApp.
+// Returns { jid, isLidTarget } or { error } when the number is not registered.
+async function resolveRecipientJid(sock, to) {
+  const isLidTarget = typeof to === 'string' && to.endsWith('@lid');
+  
+  // Format phone number
+  let formattedNumber = to;
+  if (isLidTarget) {
+    // LIDs are routable as-is when paired with a quoted message — do NOT
+    // run onWhatsApp() on them (returns "not registered") and do NOT rewrite the JID.
+    formattedNumber = to;
+  } else if (!to.includes('@g.us') && !to.includes('@c.us') && !to.includes('@s.whatsapp.net')) {
+    formattedNumber = to.replace(/\D/g, '') + '@s.whatsapp.net';
+  } else if (to.includes('@c.us')) {
+    // Baileys uses @s.whatsapp.net for individual chats
+    formattedNumber = to.replace('@c.us', '@s.whatsapp.net');
+  }
+  
+  // Verify number exists on WhatsApp and get correct JID — only for real PNs.
+  if (!to.includes('@g.us') && !isLidTarget) {
+    const rawNumber = formattedNumber.replace('@s.whatsapp.net', '');
+    try {
+      const [result] = await sock.onWhatsApp(rawNumber);
+      
+      if (!result || !result.exists) {
+        log.info({ event: 'recipient.not_on_whatsapp', phone: rawNumber }, 'Number not on WhatsApp');
+        return { error: `El número ${rawNumber} no está registrado en WhatsApp` };
+      }
+      
+      // Use the JID that WhatsApp returns (correct format)
+      formattedNumber = result.jid;
+      log.debug({ event: 'recipient.verified', phone: rawNumber, jid: formattedNumber }, 'Number verified');
+    } catch (verifyError) {
+      log.warn({ event: 'recipient.verify_failed', phone: rawNumber, err: verifyError }, 'Could not verify number, sending anyway');
+    }
+  }
+  
+  return { jid: formattedNumber, isLidTarget };
+}
+
+// Helper: build send options — include `quoted` when caller provided it. WhatsApp routes
+// by stanzaId of the quoted message, so this lets us reply to @lid contacts even
+// when the LID isn't yet resolved to a phone number.
+function buildSendOptions(quotedMessageKey, quotedMessageContent) {
+  const sendOptions = {};
+  if (quotedMessageKey && typeof quotedMessageKey === 'object') {
+    sendOptions.quoted = {
+      key: quotedMessageKey,
+      message: quotedMessageContent && typeof quotedMessageContent === 'object'
+        ? quotedMessageContent
+        : { conversation: '' },
+    };
+  }
+  return sendOptions;
+}
+
+// Cache sent message for decryption retry (mobile "waiting for message" fix)
+function cacheSentMessage(messageId, message) {
+  if (!messageId || !message) return;
+  sentMessages.set(messageId, message);
+  // Evict oldest entries if cache exceeds limit
+  if (sentMessages.size > MAX_SENT_MESSAGES_CACHE) {
+    const firstKey = sentMessages.keys().next().value;
+    sentMessages.delete(firstKey);
+  }
+}
+
+// Helper: build the /send response from a sendMessage result, learning LID mappings on the way
+function buildSendResponse(agentId, to, isLidTarget, formattedNumber, result) {
+  // Expose recipient LID (if Baileys returned one in remoteJidAlt) so the
+  // edge function can seed whatsapp_contact_map immediately on first send.
+  let recipientLid = null;
+  try {
+    if (result?.key?.remoteJidAlt && String(result.key.remoteJidAlt).includes('@lid')) {
+      recipientLid = String(result.key.remoteJidAlt).split('@')[0];
+    } else if (isLidTarget) {
+      recipientLid = String(to).split('@')[0];
+    }
+  } catch (_) { /* ignore */ }
+  
+  // When sending to a @lid, Baileys may reveal the real @s.whatsapp.net JID
+  // in result.key.remoteJid. Persist that mapping in the LID cache and
+  // surface it to the caller so the edge function can heal the conversation.
+  let resolvedPeerJid = null;
+  try {
+    const rj = result?.key?.remoteJid;
+    if (rj && typeof rj === 'string' && rj.endsWith('@s.whatsapp.net')) {
+      resolvedPeerJid = rj;
+      if (isLidTarget) {
+        getLidCache(agentId).set(to, rj);
+        schedulePersistLidMappings(agentId);
+        agentLog(agentId).info({ event: 'lid.resolved', layer: 'send', lid: to, jid: rj }, 'LID resolved by sending to it');
+      }
+    }
+  } catch (_) { /* ignore */ }
+
+  return {
+    success: true,
+    message_id: result.key.id,
+    remote_jid: result.key?.remoteJid || formattedNumber,
+    peer_jid: resolvedPeerJid,
+    peer_lid: isLidTarget ? to : null,
+    recipient_lid: recipientLid
+  };
+}
+
+// ─── OUTBOUND PACING (ANTI-BAN) ───
+// Every outgoing message goes through a per-agent FIFO queue: at most
+// SEND_RATE_PER_MINUTE messages per minute with random jitter between them, a
+// simulated "typing…"/"recording…" presence sized to the message, and a daily cap
+// (counter persisted under the agent's send-counter key).
+const sendQueues = new Map(); // agentId -> { items, running, lastSentAt, nextDelayMs, finished, counter }
+const FINISHED_SEND_JOBS_KEPT = 200;
+
+function sendIntervalMs() {
+  const base = Math.max(60000 / Math.max(SEND_RATE_PER_MINUTE, 1), SEND_MIN_DELAY_MS);
+  return base + Math.floor(Math.random() * (SEND_JITTER_MS + 1));
+}
+
+function todayKey() {
+  return new Date().toISOString().slice(0, 10); // UTC day
+}
+
+function getSendQueue(agentId) {
+  let queue = sendQueues.get(agentId);
+  if (queue) return queue;
+  queue = { items: [], bytes: 0, running: false, lastSentAt: 0, nextDelayMs: 0, finished: [], counter: { date: todayKey(), count: 0 } };
+  sendQueues.set(agentId, queue);
+  return queue;
+}
+
+// Pick up today's stored count; a higher local one (sends not persisted yet) wins
+async function loadSendCounter(agentId) {
+  const queue = getSendQueue(agentId);
+  try {
+    const stored = await authStore.read(agentId, SEND_COUNTER_KEY);
+    if (stored?.date === todayKey() && stored.count > sentToday(queue)) queue.counter = stored;
+  } catch (e) {
+    agentLog(agentId).warn({ event: 'send_queue.counter_load_failed', err: e }, 'Could not read send counter');
+  }
+  return queue;
+}
+
+// Fail whatever is still pending and forget the agent's counter (its auth is gone)
+function dropSendQueue(agentId, error = Object.assign(new Error('Session was logged out'), { status: 409 })) {
+  const queue = sendQueues.get(agentId);
+  if (!queue) return;
+  sendQueues.delete(agentId);
+  for (const job of queue.items.splice(0)) {
+    finishSendJob(queue, job, 'failed', error);
+  }
+}
+
+function sentToday(queue) {
+  if (queue.counter.date !== todayKey()) queue.counter = { date: todayKey(), count: 0 };
+  return queue.counter.count;
+}
+
+async function bumpSendCounter(agentId, queue) {
+  sentToday(queue);
+  queue.counter.count++;
+  try {
+    await authStore.write(agentId, SEND_COUNTER_KEY, queue.counter);
+  } catch (e) {
+    agentLog(agentId).warn({ event: 'send_queue.counter_persist_failed', err: e }, 'Could not persist send counter');
+  }
+}
+
+// Helper: how long to show "typing…" for a message of `chars` characters
+function typingDurationMs(chars) {
+  return Math.min(Math.max(chars * SEND_TYPING_MS_PER_CHAR, 800), SEND_TYPING_MAX_MS);
+}
+
+async function simulatePresence(sock, jid, { chars = 0, presence = 'composing' }) {
+  try {
+    await sock.presenceSubscribe(jid);
+    await sock.sendPresenceUpdate(presence, jid);
+    await new Promise(r => setTimeout(r, typingDurationMs(chars)));
+    await sock.sendPresenceUpdate('paused', jid);
+  } catch (e) {
+    // Presence is cosmetic; never block the send on it
+    log.warn({ event: 'send_queue.presence_failed', jid, err: e }, 'Presence simulation failed');
+  }
+}
+
+// Queue an outgoing send. `run(sock)` performs it and returns the route's response.
+// `typing` ({ chars, presence }) enables the presence simulation; null skips it.
+// `bytes` is the media `run` holds on to until it has run, counted against SEND_QUEUE_MAX_BYTES.
+// Returns the job record; await job.promise for the result.
+function enqueueSend(agentId, { to, type, typing = null, run, source = 'api', bytes = 0 }) {
+  const queue = getSendQueue(agentId);
+  if (SEND_DAILY_CAP > 0 && sentToday(queue) + queue.items.length >= SEND_DAILY_CAP) {
+    throw Object.assign(new Error(`Daily send cap reached (${SEND_DAILY_CAP} messages)`), { status: 429 });
+  }
+  if (queue.items.length >= SEND_QUEUE_MAX) {
+    throw Object.assign(new Error(`Send queue is full (${SEND_QUEUE_MAX} pending messages)`), { status: 429 });
+  }
+  if (bytes > 0 && queue.bytes + bytes > SEND_QUEUE_MAX_BYTES) {
+    throw Object.assign(new Error(`Send queue is full (${SEND_QUEUE_MAX_BYTES} bytes of pending media)`), { status: 429 });
+  }
+  const job = {
+    id: crypto.randomUUID(),
+    to,
+    type,
+    source,
+    typing,
+    run,
+    bytes,
+    status: 'queued',
+    enqueued_at: new Date().toISOString()
+  };
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  job.promise.catch(() => {}); // fire-and-forget callers read the outcome from the job record
+  queue.items.push(job);
+  queue.bytes += bytes;
+  job.position = queue.items.length;
+  processSendQueue(agentId);
+  return job;
+}
+
+function finishSendJob(queue, job, status, outcome) {
+  // Finished jobs stay listed for /send-queue; only the closure holds the media
+  queue.bytes -= job.bytes;
+  job.run = null;
+  job.status = status;
+  job.finished_at = new Date().toISOString();
+  if (status === 'sent') {
+    job.result = outcome;
+    metrics.messages.inc({ direction: 'outbound', type: job.type, source: job.source });
+    job.resolve(outcome);
+  } else {
+    job.error = outcome.message;
+    metrics.sendFailures.inc({ source: job.source });
+    job.reject(outcome);
+  }
+  queue.finished.push(job);
+  if (queue.finished.length > FINISHED_SEND_JOBS_KEPT) queue.finished.shift();
+}
+
+async function processSendQueue(agentId) {
+  const queue = getSendQueue(agentId);
+  if (queue.running) return;
+  queue.running = true;
+  try {
+    while (queue.items.length > 0) {
+      const job = queue.items[0];
+      const waitMs = queue.lastSentAt + queue.nextDelayMs - Date.now();
+      if (waitMs > 0) {
+        job.status = 'waiting';
+        await new Promise(r => setTimeout(r, waitMs));
+        if (queue.items[0] !== job) continue; // dropped while waiting
+      }
+      queue.items.shift();
+
+      const clientData = clients.get(agentId);
+      if (!clientData?.sock || clientStates.get(agentId) !== 'open') {
+        finishSendJob(queue, job, 'failed', Object.assign(new Error('Client not connected'), { status: 409 }));
+        continue;
+      }
+      if (SEND_DAILY_CAP > 0 && sentToday(queue) >= SEND_DAILY_CAP) {
+        finishSendJob(queue, job, 'failed', Object.assign(new Error(`Daily send cap reached (${SEND_DAILY_CAP} messages)`), { status: 429 }));
+        continue;
+      }
+
+      job.status = 'sending';
+      try {
+        if (job.typing && SEND_TYPING_SIMULATION) {
+          await simulatePresence(clientData.sock, job.to, job.typing);
+        }
+        const result = await job.run(clientData.sock);
+        await bumpSendCounter(agentId, queue);
+        finishSendJob(queue, job, 'sent', result);
+      } catch (error) {
+        finishSendJob(queue, job, 'failed', error);
+      }
+      queue.lastSentAt = Date.now();
+      queue.nextDelayMs = sendIntervalMs();
+    }
+  } finally {
+    queue.running = false;
+  }
+}
+
+function describeSendJob(job, position = null) {
+  return {
+    id: job.id,
+    position,
+    status: job.status,
+    to: job.to,
+    type: job.type,
+    source: job.source,
+    enqueued_at: job.enqueued_at,
+    finished_at: job.finished_at || null,
+    message_id: job.result?.message_id || null,
+    error: job.error || null
+  };
+}
+
+// ─── TYPED /send PAYLOADS ───
+// `type` selects the schema (default "text"). Types that act on an existing message
+// (reaction, edit, delete) take its `message_id` and look it up in the agent's own
+// store, so callers never rebuild Baileys keys; `to` is then optional.
+// Any type may set `reply_to` (a message id) to quote that message.
+
+// Helper: RFC 2426 vCard for a shared contact
+function buildVcard({ name, phone, organization }) {
+  const digits = String(phone).replace(/\D/g, '');
+  return [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${name}`,
+    ...(organization ? [`ORG:${organization};`] : []),
+    `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`,
+    'END:VCARD'
+  ].join('\n');
+}
+
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+
+const SEND_MESSAGE_TYPES = {
+  text: {
+    validate: (b) => (isNonEmptyString(b.content) ? null : 'content is required'),
+    build: (b) => ({ text: b.content })
+  },
+  reaction: {
+    targetsMessage: true,
+    // An empty emoji removes a previous reaction
+    validate: (b) => (typeof b.emoji === 'string' ? null : 'emoji is required ("" removes the reaction)'),
+    build: (b, target) => ({ react: { text: b.emoji, key: target.key } })
+  },
+  edit: {
+    targetsMessage: true,
+    ownMessageOnly: true,
+    validate: (b) => (isNonEmptyString(b.content) ? null : 'content is required'),
+    build: (b, target) => ({ text: b.content, edit: target.key })
+  },
+  delete: {
+    targetsMessage: true,
+    ownMessageOnly: true,
+    validate: () => null,
+    build: (b, target) => ({ delete: target.key })
+  },
+  poll: {
+    validate: (b) => {
+      if (!isNonEmptyString(b.name)) return 'name is required';
+      if (!Array.isArray(b.options) || b.options.length < 2 || b.options.length > 12 || !b.options.every(isNonEmptyString)) {
+        return 'options must be an array of 2 to 12 non-empty strings';
+      }
+      if (new Set(b.options).size !== b.options.length) return 'options must be unique';
+      const count = b.selectable_count ?? 1;
+      if (!Number.isInteger(count) || count < 0 || count > b.options.length) {
+        return 'selectable_count must be an integer between 0 (any number) and the number of options';
+      }
+      return null;
+    },
+    build: (b) => ({ poll: { name: b.name, values: b.options, selectableCount: b.selectable_count ?? 1 } })
+  },
+  location: {
+    validate: (b) => {
+      const lat = Number(b.latitude);
+      const lng = Number(b.longitude);
+      if (b.latitude === undefined || !Number.isFinite(lat) || lat < -90 || lat > 90) return 'latitude must be between -90 and 90';
+      if (b.longitude === undefined || !Number.isFinite(lng) || lng < -180 || lng > 180) return 'longitude must be between -180 and 180';
+      return null;
+    },
+    build: (b) => ({
+      location: {
+        degreesLatitude: Number(b.latitude),
+        degreesLongitude: Number(b.longitude),
+        name: b.name || undefined,
+        address: b.address || undefined
+      }
+    })
+  },
+  contact: {
+    // contacts: [{ name, phone, organization? } | { vcard }]
+    validate: (b) => {
+      const list = b.contacts;
+      if (!Array.isArray(list) || list.length === 0) return 'contacts must be a non-empty array';
+      const valid = list.every(c => isNonEmptyString(c?.vcard) || (isNonEmptyString(c?.name) && isNonEmptyString(String(c?.phone ?? ''))));
+      return valid ? null : 'each contact needs name and phone, or a raw vcard';
+    },
+    build: (b) => ({
+      contacts: {
+        displayName: b.contacts.length === 1 ? (b.contacts[0].name || undefined) : `${b.contacts.length} contactos`,
+        contacts: b.contacts.map(c => ({ displayName: c.name || undefined, vcard: c.vcard || buildVcard(c) }))
+      }
+    })
+  }
+};
+
+// Queue a validated typed message on the agent's pacing queue. Shared by /send and
+// the scheduler; `source` ends up in the outbound `message` event.
+function queueTypedMessage(agentId, { type, body, destination, recipient, target = null, sendOptions = {}, source = 'api' }) {
+  const spec = SEND_MESSAGE_TYPES[type];
+  const messageContent = spec.build(body, target);
+  return enqueueSend(agentId, {
+    to: recipient.jid,
+    type,
+    source,
+    // Reactions, edits and deletes are instant on a real phone: no typing for them
+    typing: spec.targetsMessage ? null : { chars: String(body.content || body.name || '').length },
+    run: async (sock) => {
+      const result = await sock.sendMessage(recipient.jid, messageContent, sendOptions);
+      
+      if (result?.key?.id) {
+        cacheSentMessage(result.key.id, type === 'text' ? { conversation: body.content } : result.message);
+        trackOutgoingMessage(agentId, result.key, result.status ?? 'pending');
+      }
+      
+      agentLog(agentId).info({ event: 'message.sent', message_id: result.key.id, message_type: type, jid: result?.key?.remoteJid, source }, 'Message sent');
+      
+      const response = {
+        ...buildSendResponse(agentId, destination, recipient.isLidTarget, recipient.jid, result),
+        type,
+        ...(target && { target_message_id: target.key.id })
+      };
+      publishEvent(agentId, 'message', {
+        ...response,
+        direction: 'outbound',
+        source,
+        message_type: type,
+        body: type === 'text' || type === 'edit' ? body.content : null
+      });
+      return response;
+    }
+  });
+}
+
 // Send message
-app.post('/send', authMiddleware, async (req, res) => {
+app.post('/send', requireScope('send'), async (req, res) => {
   try {
-    const { agent_id, to, content, quoted_message_key, quoted_message_content } = req.body;
+    const body = req.body || {};
+    const { agent_id, to, content, quoted_message_key, quoted_message_content, reply_to, message_id } = body;
+    const type = body.type || 'text';
+    const spec = SEND_MESSAGE_TYPES[type];
     
-    if (!agent_id || !to || !content) {
+    if (!spec) {
+      return res.status(400).json({ error: `type must be one of: ${Object.keys(SEND_MESSAGE_TYPES).join(', ')}` });
+    }
+    if (type === 'text' && (!agent_id || !to || !content)) {
       return res.status(400).json({ error: 'agent_id, to, and content are required' });
     }
+    if (!agent_id || (!to && !spec.targetsMessage)) {
+      return res.status(400).json({ error: 'agent_id and to are required' });
+    }
+    if (spec.targetsMessage && !message_id) {
+      return res.status(400).json({ error: `message_id is required for ${type}` });
+    }
+    const invalid = spec.validate(body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
     
     const clientData = clients.get(agent_id);
     
@@ -1172,114 +3705,1373 @@ app.post('/send', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Client not connected' });
     }
     
-    console.log(`📤 Sending message to ${to}${quoted_message_key ? ' (with quoted)' : ''}`);
+    // Target (reaction/edit/delete) and quoted (reply_to) messages come from our own store
+    let target = null;
+    if (spec.targetsMessage) {
+      target = clientData.store.messages.findById(message_id);
+      if (!target) {
+        return res.status(404).json({ error: `Message ${message_id} not found in this agent's message store` });
+      }
+      if (spec.ownMessageOnly && !target.key.fromMe) {
+        return res.status(400).json({ error: `Only messages sent by this agent can be used with ${type}` });
+      }
+    }
+    let sendOptions = buildSendOptions(quoted_message_key, quoted_message_content);
+    if (reply_to) {
+      const quoted = clientData.store.messages.findById(reply_to);
+      if (!quoted) {
+        return res.status(404).json({ error: `Message ${reply_to} not found in this agent's message store` });
+      }
+      sendOptions = { quoted: { key: quoted.key, message: quoted.message } };
+    }
     
-    const isLidTarget = typeof to === 'string' && to.endsWith('@lid');
+    const destination = to || target.key.remoteJid;
+    agentLog(agent_id).info({ event: 'message.sending', message_type: type, to: destination, quoted: !!sendOptions.quoted }, 'Sending message');
     
-    // Format phone number
-    let formattedNumber = to;
-    if (isLidTarget) {
-      // LIDs are routable as-is when paired with a quoted message — do NOT
-      // run onWhatsApp() on them (returns "not registered") and do NOT rewrite the JID.
-      formattedNumber = to;
-    } else if (!to.includes('@g.us') && !to.includes('@c.us') && !to.includes('@s.whatsapp.net')) {
-      formattedNumber = to.replace(/\D/g, '') + '@s.whatsapp.net';
-    } else if (to.includes('@c.us')) {
-      // Baileys uses @s.whatsapp.net for individual chats
-      formattedNumber = to.replace('@c.us', '@s.whatsapp.net');
+    const recipient = target
+      ? { jid: target.key.remoteJid, isLidTarget: target.key.remoteJid.endsWith('@lid') }
+      : await resolveRecipientJid(clientData.sock, to);
+    if (recipient.error) {
+      return res.status(400).json({ error: recipient.error });
     }
     
-    // Verify number exists on WhatsApp and get correct JID — only for real PNs.
-    if (!to.includes('@g.us') && !isLidTarget) {
-      const rawNumber = formattedNumber.replace('@s.whatsapp.net', '');
-      try {
-        const [result] = await clientData.sock.onWhatsApp(rawNumber);
-        
-        if (!result || !result.exists) {
-          console.log(`❌ Number not on WhatsApp: ${rawNumber}`);
-          return res.status(400).json({ 
-            error: `El número ${rawNumber} no está registrado en WhatsApp` 
-          });
+    const job = queueTypedMessage(agent_id, { type, body, destination, recipient, target, sendOptions });
+
+    // wait: false -> answer right away and let the caller poll /send-queue for the outcome
+    if (parseBooleanField(body.wait ?? true) === false) {
+      return res.status(202).json({ success: true, queued: true, job_id: job.id, position: job.position });
+    }
+    res.json(await job.promise);
+  } catch (error) {
+    agentLog(req.body?.agent_id).error({ event: 'message.send_failed', err: error }, 'Error sending message');
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ─── SCHEDULED MESSAGES ───
+// Jobs live one entry each in the _scheduled namespace (<agent_id>/<job_id>) so they
+// survive restarts; they are reloaded once restoreSessions() has brought the agents back
+// (in a cluster, by the instance that claims each session).
+// A due job whose agent isn't open is retried every SCHEDULE_RETRY_MS until
+// send_at + SCHEDULE_MAX_LATENESS_MS (if_offline: "retry", the default) or skipped right
+// away (if_offline: "skip"). Final outcomes go to the webhook as `scheduled_message`.
+// Delivery is at-least-once: a job interrupted mid-send by a crash is sent again.
+const SCHEDULE_FINAL_STATUSES = ['sent', 'failed', 'skipped', 'expired', 'cancelled'];
+const SCHEDULE_JOB_FIELDS = ['agent_id', 'to', 'type', 'send_at', 'delay_seconds', 'if_offline', 'metadata', 'wait'];
+const scheduledJobs = new Map(); // jobId -> job
+let scheduleTimer = null;
+let schedulerStarted = false;
+
+function scheduledJobKey(job) {
+  return `${job.agent_id}/${job.id}`;
+}
+
+async function saveScheduledJob(job) {
+  job.updated_at = new Date().toISOString();
+  await authStore.write(SCHEDULE_NS, scheduledJobKey(job), job);
+}
+
+// Helper: send_at as ISO string or unix seconds/ms, or delay_seconds from now
+function parseSendAt({ send_at, delay_seconds }) {
+  if (delay_seconds !== undefined) {
+    const delay = Number(delay_seconds);
+    return Number.isFinite(delay) && delay >= 0 ? Date.now() + delay * 1000 : NaN;
+  }
+  if (typeof send_at === 'number') return send_at < 1e12 ? send_at * 1000 : send_at;
+  return typeof send_at === 'string' ? Date.parse(send_at) : NaN;
+}
+
+function describeScheduledJob(job) {
+  const { payload, ...rest } = job;
+  return { ...rest, send_at: new Date(job.send_at).toISOString(), message: payload };
+}
+
+// Arm a single timer for the earliest pending job
+function armScheduleTimer() {
+  if (scheduleTimer) clearTimeout(scheduleTimer);
+  scheduleTimer = null;
+  if (!schedulerStarted) return;
+  let nextAt = Infinity;
+  for (const job of scheduledJobs.values()) {
+    if (job.status === 'scheduled') nextAt = Math.min(nextAt, job.next_attempt_at);
+  }
+  if (Number.isFinite(nextAt)) {
+    // setTimeout overflows past ~24.8 days; re-arm from there
+    const delay = Math.min(Math.max(0, nextAt - Date.now()), 2 ** 31 - 1);
+    scheduleTimer = setTimeout(runDueScheduledJobs, delay);
+  }
+}
+
+async function finishScheduledJob(job, status, { result = null, error = null } = {}) {
+  job.status = status;
+  job.finished_at = new Date().toISOString();
+  job.result = result;
+  job.last_error = error;
+  try {
+    await saveScheduledJob(job);
+  } catch (e) {
+    agentLog(job.agent_id).error({ event: 'schedule.persist_failed', job_id: job.id, err: e }, 'Could not persist scheduled job');
+  }
+  if (status === 'cancelled') return; // the caller cancelled it, nothing to report
+  agentLog(job.agent_id)[status === 'sent' ? 'info' : 'warn']({ event: 'schedule.finished', job_id: job.id, status, error }, 'Scheduled job finished');
+  enqueueWebhook(job.agent_id, {
+    event_type: 'scheduled_message',
+    agent_id: job.agent_id,
+    job_id: job.id,
+    status,
+    to: job.to,
+    type: job.type,
+    send_at: new Date(job.send_at).toISOString(),
+    attempts: job.attempts,
+    message_id: result?.message_id || null,
+    error,
+    metadata: job.metadata
+  }, { event: 'scheduled_message' }).catch((e) => {
+    agentLog(job.agent_id).error({ event: 'webhook.enqueue_failed', webhook_event: 'scheduled_message', job_id: job.id, err: e }, 'Could not queue scheduled_message webhook');
+  });
+}
+
+async function retryScheduledJob(job, error, delayMs) {
+  if (Date.now() + delayMs > job.send_at + SCHEDULE_MAX_LATENESS_MS) {
+    return finishScheduledJob(job, 'expired', { error });
+  }
+  job.status = 'scheduled';
+  job.last_error = error;
+  job.next_attempt_at = Date.now() + delayMs;
+  try {
+    await saveScheduledJob(job);
+  } catch (e) {
+    agentLog(job.agent_id).error({ event: 'schedule.persist_failed', job_id: job.id, err: e }, 'Could not persist scheduled job');
+  }
+}
+
+// Cluster: other instances may hold a copy of the job too. The session owner runs it
+// (whoever has it, while nobody owns the session), and only if its copy is the stored one.
+async function isScheduledJobCurrent(job) {
+  try {
+    if (!ownedAgents.has(job.agent_id)) {
+      const owner = await leases.owner(job.agent_id);
+      if (owner && owner.instance_id !== INSTANCE_ID) {
+        scheduledJobs.delete(job.id);
+        return false;
+      }
+    }
+    const stored = await authStore.read(SCHEDULE_NS, scheduledJobKey(job));
+    if (stored?.updated_at === job.updated_at) return true;
+    // Changed elsewhere: the stored copy replaces ours and runs if it's still due
+    if (stored) scheduledJobs.set(stored.id, stored);
+    else scheduledJobs.delete(job.id);
+  } catch (e) {
+    agentLog(job.agent_id).warn({ event: 'schedule.check_failed', job_id: job.id, err: e }, 'Could not check scheduled job, will retry');
+    job.next_attempt_at = Date.now() + SCHEDULE_RETRY_MS;
+  }
+  return false;
+}
+
+async function runScheduledJob(job) {
+  if (CLUSTER_ENABLED && !(await isScheduledJobCurrent(job))) return;
+  const clientData = clients.get(job.agent_id);
+  if (!clientData?.sock || clientStates.get(job.agent_id) !== 'open') {
+    if (job.if_offline === 'skip') return finishScheduledJob(job, 'skipped', { error: 'Client not connected' });
+    return retryScheduledJob(job, 'Client not connected', SCHEDULE_RETRY_MS);
+  }
+
+  job.status = 'sending';
+  job.attempts++;
+  try {
+    await saveScheduledJob(job);
+    const body = job.payload;
+    let sendOptions = {};
+    if (body.reply_to) {
+      const quoted = clientData.store.messages.findById(body.reply_to);
+      if (quoted) sendOptions = { quoted: { key: quoted.key, message: quoted.message } };
+    }
+    const recipient = await resolveRecipientJid(clientData.sock, job.to);
+    if (recipient.error) {
+      return finishScheduledJob(job, 'failed', { error: recipient.error });
+    }
+    const sendJob = queueTypedMessage(job.agent_id, {
+      type: job.type,
+      body,
+      destination: job.to,
+      recipient,
+      sendOptions,
+      source: 'schedule'
+    });
+    const response = await sendJob.promise;
+    await finishScheduledJob(job, 'sent', { result: { message_id: response.message_id, send_job_id: sendJob.id } });
+  } catch (error) {
+    if (job.attempts >= SCHEDULE_MAX_ATTEMPTS || error.status === 429) {
+      // Hitting the daily cap won't clear before the job goes stale, so don't burn retries on it
+      return finishScheduledJob(job, 'failed', { error: error.message });
+    }
+    await retryScheduledJob(job, error.message, SCHEDULE_RETRY_MS * job.attempts);
+  }
+}
+
+function runDueScheduledJobs() {
+  scheduleTimer = null;
+  const now = Date.now();
+  const due = Array.from(scheduledJobs.values())
+    .filter(j => j.status === 'scheduled' && j.next_attempt_at <= now)
+    .sort((a, b) => a.next_attempt_at - b.next_attempt_at);
+  // Jobs wait on each agent's pacing queue, so run them side by side
+  Promise.allSettled(due.map(runScheduledJob)).finally(armScheduleTimer);
+  armScheduleTimer();
+}
+
+// Read jobs from the store: every agent's at boot, one agent's when its session is claimed.
+// `recover` puts jobs left mid-send by a dead process back in line; it's off when only
+// refreshing our view of a session nobody owns. Jobs mid-send here are left alone.
+async function loadScheduledJobs(agentId = null, { recover = true } = {}) {
+  try {
+    for (const job of await readNamespace(SCHEDULE_NS, agentId)) {
+      if (scheduledJobs.get(job.id)?.status === 'sending') continue;
+      if (recover && job.status === 'sending') {
+        // Crashed mid-send: we can't tell whether it went out
+        job.status = 'scheduled';
+        job.next_attempt_at = Date.now();
+      }
+      scheduledJobs.set(job.id, job);
+    }
+  } catch (e) {
+    log.error({ event: 'schedule.load_failed', agent_id: agentId || undefined, err: e }, 'Error loading scheduled jobs');
+  }
+  armScheduleTimer();
+}
+
+// Forget an agent's jobs (its session moved to another instance, which loaded them)
+function dropScheduledJobs(agentId) {
+  for (const job of Array.from(scheduledJobs.values())) {
+    if (job.agent_id === agentId && job.status !== 'sending') scheduledJobs.delete(job.id);
+  }
+  armScheduleTimer();
+}
+
+// Start the timer; a single instance loads every stored job first
+async function startScheduler() {
+  if (!CLUSTER_ENABLED) await loadScheduledJobs();
+  const pending = Array.from(scheduledJobs.values()).filter(j => j.status === 'scheduled').length;
+  log.info({ event: 'schedule.started', pending }, 'Scheduler started');
+  schedulerStarted = true;
+  armScheduleTimer();
+}
+
+// Drop finished jobs older than SCHEDULE_RETENTION_MS (called from the cleanup loop)
+async function pruneScheduledJobs() {
+  const cutoff = Date.now() - SCHEDULE_RETENTION_MS;
+  let removed = 0;
+  for (const job of scheduledJobs.values()) {
+    if (!SCHEDULE_FINAL_STATUSES.includes(job.status) || Date.parse(job.finished_at) > cutoff) continue;
+    scheduledJobs.delete(job.id);
+    await authStore.remove(SCHEDULE_NS, scheduledJobKey(job));
+    removed++;
+  }
+  return removed;
+}
+
+// Cluster middleware: a session no instance owns is served by whichever one gets the
+// request (owned ones are routed to their owner), so re-read its jobs and broadcasts first
+async function refreshUnownedJobs(req, res, next) {
+  const agentId = req.params.agent_id;
+  if (CLUSTER_ENABLED && !ownedAgents.has(agentId)) {
+    await Promise.all([loadScheduledJobs(agentId, { recover: false }), loadBroadcasts(agentId, { resume: false })]);
+  }
+  next();
+}
+
+// Helper: look up a job for the agent in the route, or answer 404
+function findScheduledJob(req, res) {
+  const job = scheduledJobs.get(req.params.job_id);
+  if (!job || job.agent_id !== req.params.agent_id) {
+    res.status(404).json({ error: 'Scheduled job not found' });
+    return null;
+  }
+  return job;
+}
+
+// Schedule a message: same body as /send (types that don't target an existing message)
+// plus send_at (ISO 8601 or unix time) or delay_seconds, if_offline and metadata
+app.post('/schedule', requireScope('send'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { agent_id, to, send_at, delay_seconds, metadata } = body;
+    const type = body.type || 'text';
+    const ifOffline = body.if_offline || 'retry';
+    const spec = SEND_MESSAGE_TYPES[type];
+
+    if (!spec || spec.targetsMessage) {
+      const allowed = Object.keys(SEND_MESSAGE_TYPES).filter(t => !SEND_MESSAGE_TYPES[t].targetsMessage);
+      return res.status(400).json({ error: `type must be one of: ${allowed.join(', ')}` });
+    }
+    if (!agent_id || !to) {
+      return res.status(400).json({ error: 'agent_id and to are required' });
+    }
+    const invalid = spec.validate(body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (!['retry', 'skip'].includes(ifOffline)) {
+      return res.status(400).json({ error: 'if_offline must be "retry" or "skip"' });
+    }
+    const sendAt = parseSendAt({ send_at, delay_seconds });
+    if (!Number.isFinite(sendAt)) {
+      return res.status(400).json({ error: 'send_at (ISO 8601 or unix time) or delay_seconds is required' });
+    }
+    if (sendAt < Date.now() - 60000) {
+      return res.status(400).json({ error: 'send_at is in the past' });
+    }
+
+    // Keep only the message fields; routing and scheduling fields live on the job itself
+    const payload = Object.fromEntries(Object.entries(body).filter(([k]) => !SCHEDULE_JOB_FIELDS.includes(k)));
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      agent_id,
+      to,
+      type,
+      payload,
+      send_at: sendAt,
+      next_attempt_at: sendAt,
+      if_offline: ifOffline,
+      metadata: metadata ?? null,
+      status: 'scheduled',
+      attempts: 0,
+      created_at: now,
+      updated_at: now,
+      finished_at: null,
+      result: null,
+      last_error: null
+    };
+    await saveScheduledJob(job);
+    scheduledJobs.set(job.id, job);
+    armScheduleTimer();
+
+    agentLog(agent_id).info({ event: 'schedule.created', job_id: job.id, message_type: type, to, send_at: new Date(sendAt).toISOString() }, 'Message scheduled');
+    res.status(201).json(describeScheduledJob(job));
+  } catch (error) {
+    agentLog(req.body?.agent_id).error({ event: 'schedule.create_failed', err: error }, 'Error scheduling message');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List an agent's jobs, soonest first (?status=scheduled,sent,...)
+app.get('/schedule/:agent_id', requireScope('read'), refreshUnownedJobs, (req, res) => {
+  const statuses = typeof req.query.status === 'string' ? req.query.status.split(',') : null;
+  const jobs = Array.from(scheduledJobs.values())
+    .filter(j => j.agent_id === req.params.agent_id && (!statuses || statuses.includes(j.status)))
+    .sort((a, b) => a.send_at - b.send_at);
+  res.json({ agent_id: req.params.agent_id, total: jobs.length, jobs: jobs.map(describeScheduledJob) });
+});
+
+app.get('/schedule/:agent_id/:job_id', requireScope('read'), refreshUnownedJobs, (req, res) => {
+  const job = findScheduledJob(req, res);
+  if (job) res.json(describeScheduledJob(job));
+});
+
+// Reschedule a pending job (send_at or delay_seconds); resets its attempts
+app.patch('/schedule/:agent_id/:job_id', requireScope('send'), refreshUnownedJobs, async (req, res) => {
+  try {
+    const job = findScheduledJob(req, res);
+    if (!job) return;
+    if (job.status !== 'scheduled') {
+      return res.status(409).json({ error: `Job is ${job.status} and can no longer be rescheduled` });
+    }
+    const sendAt = parseSendAt(req.body || {});
+    if (!Number.isFinite(sendAt) || sendAt < Date.now() - 60000) {
+      return res.status(400).json({ error: 'send_at (future ISO 8601 or unix time) or delay_seconds is required' });
+    }
+    job.send_at = sendAt;
+    job.next_attempt_at = sendAt;
+    job.attempts = 0;
+    job.last_error = null;
+    await saveScheduledJob(job);
+    armScheduleTimer();
+    res.json(describeScheduledJob(job));
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'schedule.reschedule_failed', job_id: req.params.job_id, err: error }, 'Error rescheduling message');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/schedule/:agent_id/:job_id', requireScope('send'), refreshUnownedJobs, async (req, res) => {
+  try {
+    const job = findScheduledJob(req, res);
+    if (!job) return;
+    if (job.status !== 'scheduled') {
+      return res.status(409).json({ error: `Job is ${job.status} and can no longer be cancelled` });
+    }
+    await finishScheduledJob(job, 'cancelled');
+    armScheduleTimer();
+    res.json(describeScheduledJob(job));
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'schedule.cancel_failed', job_id: req.params.job_id, err: error }, 'Error cancelling scheduled message');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── BROADCASTS ───
+// One request, many recipients: `content` is a template ({{name}}, {{phone}}...) filled
+// from each recipient's `variables`. Numbers are checked with onWhatsApp() in batches,
+// then sent one by one through the pacing queue in the background. Jobs are kept in the
+// _broadcasts namespace (<agent_id>/<job_id>); an interrupted job resumes after
+// restoreSessions() (in a cluster, on the instance that claims the session), except the
+// recipient that was mid-send (marked failed, never resent).
+const BROADCAST_RECIPIENT_STATUSES = ['pending', 'not_on_whatsapp', 'sending', 'sent', 'failed', 'cancelled'];
+const broadcastJobs = new Map(); // jobId -> job
+const broadcastSaveTimers = new Map(); // jobId -> debounce timer
+const runningBroadcasts = new Set(); // jobIds with a runBroadcast() loop in this process
+
+function broadcastJobKey(job) {
+  return `${job.agent_id}/${job.id}`;
+}
+
+// A job dropped from the map (its session moved to another instance) is no longer ours to write
+async function saveBroadcastNow(job) {
+  clearTimeout(broadcastSaveTimers.get(job.id));
+  broadcastSaveTimers.delete(job.id);
+  if (broadcastJobs.get(job.id) !== job) return;
+  job.updated_at = new Date().toISOString();
+  try {
+    await authStore.write(BROADCAST_NS, broadcastJobKey(job), job);
+  } catch (e) {
+    agentLog(job.agent_id).error({ event: 'broadcast.persist_failed', job_id: job.id, err: e }, 'Could not persist broadcast');
+  }
+}
+
+// Per-recipient progress is frequent: coalesce those writes
+function scheduleSaveBroadcast(job) {
+  if (broadcastSaveTimers.has(job.id)) return;
+  broadcastSaveTimers.set(job.id, setTimeout(() => saveBroadcastNow(job), 2000));
+}
+
+// Helper: fill {{var}} placeholders; unknown variables render empty
+function renderTemplate(template, variables) {
+  return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+function broadcastProgress(job) {
+  const counts = Object.fromEntries(BROADCAST_RECIPIENT_STATUSES.map(s => [s, 0]));
+  for (const r of job.recipients) counts[r.status]++;
+  const done = job.recipients.length - counts.pending - counts.sending;
+  return {
+    total: job.recipients.length,
+    done,
+    percent: job.recipients.length ? Math.round((done / job.recipients.length) * 100) : 100,
+    ...counts
+  };
+}
+
+function describeBroadcast(job, { withRecipients = false, recipientStatus = null } = {}) {
+  const { recipients, ...rest } = job;
+  return {
+    ...rest,
+    progress: broadcastProgress(job),
+    ...(withRecipients && {
+      recipients: recipientStatus ? recipients.filter(r => recipientStatus.includes(r.status)) : recipients
+    })
+  };
+}
+
+// Pre-check a batch of phone numbers in one onWhatsApp() call. Marks missing numbers
+// not_on_whatsapp and stores the canonical JID on the rest. WhatsApp may answer with a
+// different JID than asked (e.g. MX 52 vs 521), so numbers without a direct match get
+// an individual lookup before being rejected.
+async function validateBroadcastBatch(sock, batch) {
+  const numbers = batch.map(r => r.to.replace(/\D/g, ''));
+  let results = [];
+  try {
+    results = await sock.onWhatsApp(...numbers);
+  } catch (e) {
+    // Same policy as /send: if the check itself fails, send anyway
+    log.warn({ event: 'broadcast.validate_failed', count: numbers.length, err: e }, 'Broadcast onWhatsApp batch failed, sending unverified');
+    for (let i = 0; i < batch.length; i++) batch[i].jid = `${numbers[i]}@s.whatsapp.net`;
+    return;
+  }
+  const byNumber = new Map((results || []).filter(r => r.exists).map(r => [jidNormalizedUser(r.jid).split('@')[0], r.jid]));
+  for (let i = 0; i < batch.length; i++) {
+    let jid = byNumber.get(numbers[i]);
+    if (!jid) {
+      const [single] = await sock.onWhatsApp(numbers[i]).catch(() => []);
+      jid = single?.exists ? single.jid : null;
+    }
+    if (jid) {
+      batch[i].jid = jid;
+    } else {
+      batch[i].status = 'not_on_whatsapp';
+      batch[i].error = `El número ${numbers[i]} no está registrado en WhatsApp`;
+    }
+  }
+}
+
+function dropBroadcast(jobId) {
+  clearTimeout(broadcastSaveTimers.get(jobId));
+  broadcastSaveTimers.delete(jobId);
+  broadcastJobs.delete(jobId);
+}
+
+function dropBroadcasts(agentId) {
+  for (const job of Array.from(broadcastJobs.values())) {
+    if (job.agent_id === agentId) dropBroadcast(job.id);
+  }
+}
+
+// Wait for the agent to be open; false once BROADCAST_MAX_PAUSE_MS has passed
+async function waitForOpenClient(job) {
+  const deadline = Date.now() + BROADCAST_MAX_PAUSE_MS;
+  while (clientStates.get(job.agent_id) !== 'open' || !clients.get(job.agent_id)?.sock) {
+    if (job.cancel_requested || Date.now() > deadline) return false;
+    // Cluster: the session came back on another instance, which resumes the broadcast there
+    if (CLUSTER_ENABLED && !ownedAgents.has(job.agent_id)) {
+      const owner = await leases.owner(job.agent_id).catch(() => null);
+      if (owner && owner.instance_id !== INSTANCE_ID) {
+        dropBroadcast(job.id);
+        return false;
+      }
+    }
+    if (job.status !== 'paused') {
+      job.status = 'paused';
+      agentLog(job.agent_id).warn({ event: 'broadcast.paused', job_id: job.id }, 'Broadcast paused: agent not connected');
+      await saveBroadcastNow(job);
+    }
+    await new Promise(r => setTimeout(r, 5000));
+  }
+  return true;
+}
+
+function finishPendingRecipients(job, status, error = null) {
+  for (const r of job.recipients) {
+    if (r.status === 'pending') {
+      r.status = status;
+      r.error = error;
+    }
+  }
+}
+
+async function runBroadcast(job) {
+  runningBroadcasts.add(job.id);
+  try {
+    await processBroadcast(job);
+  } finally {
+    runningBroadcasts.delete(job.id);
+  }
+}
+
+async function processBroadcast(job) {
+  const dropped = () => broadcastJobs.get(job.id) !== job;
+  try {
+    const phoneRecipients = job.recipients.filter(r => r.status === 'pending' && !r.jid);
+    if (phoneRecipients.length > 0) {
+      job.status = 'validating';
+      for (let i = 0; i < phoneRecipients.length; i += BROADCAST_VALIDATE_BATCH) {
+        if (job.cancel_requested || dropped() || !(await waitForOpenClient(job))) break;
+        job.status = 'validating';
+        await validateBroadcastBatch(clients.get(job.agent_id).sock, phoneRecipients.slice(i, i + BROADCAST_VALIDATE_BATCH));
+        scheduleSaveBroadcast(job);
+      }
+    }
+
+    for (const recipient of job.recipients) {
+      if (recipient.status !== 'pending' || !recipient.jid) continue;
+      if (job.cancel_requested || dropped() || !(await waitForOpenClient(job))) break;
+      job.status = 'sending';
+      recipient.status = 'sending';
+      try {
+        const content = renderTemplate(job.template, { phone: recipient.to, ...recipient.variables });
+        const sendJob = queueTypedMessage(job.agent_id, {
+          type: 'text',
+          body: { content },
+          destination: recipient.to,
+          recipient: { jid: recipient.jid, isLidTarget: recipient.jid.endsWith('@lid') },
+          source: 'broadcast'
+        });
+        const response = await sendJob.promise;
+        recipient.status = 'sent';
+        recipient.message_id = response.message_id;
+      } catch (error) {
+        if (shuttingDown && error.status === 503) {
+          // Never left the send queue: the next boot picks the broadcast up from here
+          recipient.status = 'pending';
+          scheduleSaveBroadcast(job);
+          return;
+        }
+        recipient.status = 'failed';
+        recipient.error = error.message;
+        if (error.status === 429) {
+          // Daily cap or full queue: the rest would fail the same way
+          finishPendingRecipients(job, 'failed', error.message);
+          break;
         }
-        
-        // Use the JID that WhatsApp returns (correct format)
-        formattedNumber = result.jid;
-        console.log(`✅ Number verified: ${rawNumber} → ${formattedNumber}`);
-      } catch (verifyError) {
-        console.warn(`⚠️ Could not verify number ${rawNumber}, sending anyway:`, verifyError.message);
       }
+      recipient.finished_at = new Date().toISOString();
+      scheduleSaveBroadcast(job);
     }
-    
-    // Build send options — include `quoted` when caller provided it. WhatsApp routes
-    // by stanzaId of the quoted message, so this lets us reply to @lid contacts even
-    // when the LID isn't yet resolved to a phone number.
-    const sendOptions = {};
-    if (quoted_message_key && typeof quoted_message_key === 'object') {
-      sendOptions.quoted = {
-        key: quoted_message_key,
-        message: quoted_message_content && typeof quoted_message_content === 'object'
-          ? quoted_message_content
-          : { conversation: '' },
+
+    if (dropped()) return; // the new owner of the session carries on from the store
+    if (job.cancel_requested) {
+      finishPendingRecipients(job, 'cancelled');
+      job.status = 'cancelled';
+    } else if (job.recipients.some(r => r.status === 'pending')) {
+      finishPendingRecipients(job, 'failed', 'Client not connected');
+      job.status = 'failed';
+      job.error = `Agent was not connected for ${BROADCAST_MAX_PAUSE_MS / 1000}s`;
+    } else {
+      job.status = 'completed';
+    }
+  } catch (error) {
+    agentLog(job.agent_id).error({ event: 'broadcast.crashed', job_id: job.id, err: error }, 'Broadcast crashed');
+    finishPendingRecipients(job, 'failed', error.message);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finished_at = new Date().toISOString();
+  await saveBroadcastNow(job);
+  const progress = broadcastProgress(job);
+  agentLog(job.agent_id).info({ event: 'broadcast.finished', job_id: job.id, status: job.status, sent: progress.sent, total: progress.total }, 'Broadcast finished');
+  enqueueWebhook(job.agent_id, {
+    event_type: 'broadcast',
+    agent_id: job.agent_id,
+    job_id: job.id,
+    status: job.status,
+    progress,
+    metadata: job.metadata
+  }, { event: 'broadcast' }).catch((e) => {
+    agentLog(job.agent_id).error({ event: 'webhook.enqueue_failed', webhook_event: 'broadcast', job_id: job.id, err: e }, 'Could not queue broadcast webhook');
+  });
+}
+
+// Read broadcasts from the store (every agent's at boot, one agent's when its session is
+// claimed) and resume the unfinished ones, unless `resume` is off because we're only
+// refreshing our view of a session nobody owns. Broadcasts running here are left alone.
+async function loadBroadcasts(agentId = null, { resume = true } = {}) {
+  try {
+    let resumed = 0;
+    for (const job of await readNamespace(BROADCAST_NS, agentId)) {
+      if (runningBroadcasts.has(job.id)) continue;
+      broadcastJobs.set(job.id, job);
+      if (job.finished_at || !resume) continue;
+      for (const r of job.recipients) {
+        if (r.status === 'sending') {
+          r.status = 'failed';
+          r.error = 'Interrupted by a restart; not resent to avoid duplicates';
+        }
+      }
+      runBroadcast(job);
+      resumed++;
+    }
+    if (resumed > 0) log.info({ event: 'broadcast.resumed', agent_id: agentId || undefined, count: resumed }, 'Broadcasts resumed');
+  } catch (e) {
+    log.error({ event: 'broadcast.load_failed', agent_id: agentId || undefined, err: e }, 'Error loading broadcasts');
+  }
+}
+
+// Drop finished broadcasts older than SCHEDULE_RETENTION_MS (called from the cleanup loop)
+async function pruneBroadcasts() {
+  const cutoff = Date.now() - SCHEDULE_RETENTION_MS;
+  let removed = 0;
+  for (const job of broadcastJobs.values()) {
+    if (!job.finished_at || Date.parse(job.finished_at) > cutoff) continue;
+    broadcastJobs.delete(job.id);
+    await authStore.remove(BROADCAST_NS, broadcastJobKey(job));
+    removed++;
+  }
+  return removed;
+}
+
+function findBroadcast(req, res) {
+  const job = broadcastJobs.get(req.params.job_id);
+  if (!job || job.agent_id !== req.params.agent_id) {
+    res.status(404).json({ error: 'Broadcast not found' });
+    return null;
+  }
+  return job;
+}
+
+// Start a broadcast: { agent_id, content, recipients: [{ to, variables }] | ["phone", ...], metadata }
+app.post('/broadcast', requireScope('send', { deferAgentCheck: true }), parseBroadcastJson, requireAgentAccess, async (req, res) => {
+  try {
+    const { agent_id, content, recipients, metadata } = req.body || {};
+    if (!agent_id || !isNonEmptyString(content)) {
+      return res.status(400).json({ error: 'agent_id and content are required' });
+    }
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      return res.status(400).json({ error: 'recipients must be a non-empty array' });
+    }
+    if (recipients.length > BROADCAST_MAX_RECIPIENTS) {
+      return res.status(400).json({ error: `At most ${BROADCAST_MAX_RECIPIENTS} recipients per broadcast` });
+    }
+    if (!clients.has(agent_id)) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const seen = new Set();
+    const list = [];
+    for (const entry of recipients) {
+      const to = String(typeof entry === 'string' ? entry : entry?.to ?? '').trim();
+      const variables = (typeof entry === 'object' && entry?.variables) || {};
+      if (!to) {
+        return res.status(400).json({ error: 'Every recipient needs a `to`' });
+      }
+      if (typeof variables !== 'object' || Array.isArray(variables)) {
+        return res.status(400).json({ error: `variables for ${to} must be an object` });
+      }
+      if (seen.has(to)) continue; // the same person shouldn't get the notice twice
+      seen.add(to);
+      // Groups and LIDs can't be checked with onWhatsApp(): they go out as given
+      const routable = to.endsWith('@g.us') || to.endsWith('@lid');
+      if (!routable && !/\d/.test(to)) {
+        return res.status(400).json({ error: `Invalid recipient: ${to}` });
+      }
+      list.push({
+        to,
+        variables,
+        jid: routable ? to : null,
+        status: 'pending',
+        message_id: null,
+        error: null,
+        finished_at: null
+      });
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      agent_id,
+      template: content,
+      metadata: metadata ?? null,
+      status: 'queued',
+      cancel_requested: false,
+      created_at: now,
+      updated_at: now,
+      finished_at: null,
+      error: null,
+      recipients: list
+    };
+    broadcastJobs.set(job.id, job);
+    await saveBroadcastNow(job);
+    runBroadcast(job);
+
+    agentLog(agent_id).info({ event: 'broadcast.started', job_id: job.id, recipients: list.length }, 'Broadcast started');
+    res.status(202).json(describeBroadcast(job));
+  } catch (error) {
+    agentLog(req.body?.agent_id).error({ event: 'broadcast.start_failed', err: error }, 'Error starting broadcast');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/broadcast/:agent_id', requireScope('read'), refreshUnownedJobs, (req, res) => {
+  const jobs = Array.from(broadcastJobs.values())
+    .filter(j => j.agent_id === req.params.agent_id)
+    .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+  res.json({ agent_id: req.params.agent_id, broadcasts: jobs.map(j => describeBroadcast(j)) });
+});
+
+// Progress plus the per-recipient report (?status=failed,not_on_whatsapp to filter)
+app.get('/broadcast/:agent_id/:job_id', requireScope('read'), refreshUnownedJobs, (req, res) => {
+  const job = findBroadcast(req, res);
+  if (!job) return;
+  const recipientStatus = typeof req.query.status === 'string' ? req.query.status.split(',') : null;
+  res.json(describeBroadcast(job, { withRecipients: true, recipientStatus }));
+});
+
+// Cancel: the message being sent right now still goes out, the rest are marked cancelled
+app.delete('/broadcast/:agent_id/:job_id', requireScope('send'), refreshUnownedJobs, async (req, res) => {
+  const job = findBroadcast(req, res);
+  if (!job) return;
+  if (job.finished_at) {
+    return res.status(409).json({ error: `Broadcast is already ${job.status}` });
+  }
+  job.cancel_requested = true;
+  await saveBroadcastNow(job);
+  res.json(describeBroadcast(job));
+});
+
+// ─── MEDIA SENDING ───
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_BYTES, files: 1 }
+});
+
+// Helper: pick a media type from the mimetype when the caller didn't give one
+function inferMediaType(mimetype) {
+  if (!mimetype) return 'document';
+  if (mimetype === 'image/webp') return 'sticker';
+  if (mimetype.startsWith('image/')) return 'image';
+  if (mimetype.startsWith('video/')) return 'video';
+  if (mimetype.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+
+// /send-media fetches whatever URL the caller hands it, so downloads are limited to
+// http(s) on public addresses (and to MEDIA_URL_ALLOWED_HOSTS when set). The check runs in
+// the socket's own DNS lookup, on the address actually dialled, and again on every redirect.
+const privateAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  privateAddresses.addSubnet(address, prefix, 'ipv4');
+}
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 ranges too
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  privateAddresses.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPublicAddress(address, family) {
+  return !privateAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function privateAddressError(address) {
+  return Object.assign(new Error(`Media url points to a private address (${address})`), { status: 400 });
+}
+
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => !isPublicAddress(a.address, a.family));
+    if (blocked) return callback(privateAddressError(blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function checkMediaUrl(url) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (_) {
+    throw Object.assign(new Error('Invalid media url'), { status: 400 });
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw Object.assign(new Error('Media url must use http or https'), { status: 400 });
+  }
+  const hostname = target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (MEDIA_URL_ALLOWED_HOSTS.length > 0 && !MEDIA_URL_ALLOWED_HOSTS.some(h => hostname === h || hostname.endsWith(`.${h}`))) {
+    throw Object.assign(new Error(`Media host ${hostname} is not in MEDIA_URL_ALLOWED_HOSTS`), { status: 400 });
+  }
+  // Literal IPs never reach the lookup
+  if (net.isIP(hostname) && !isPublicAddress(hostname, net.isIP(hostname))) throw privateAddressError(hostname);
+  return target;
+}
+
+// GET a media URL into a Buffer, aborting with a 413 as soon as the body passes
+// MEDIA_MAX_BYTES: Content-Length is missing or wrong often enough that only the bytes
+// actually received count
+async function downloadMedia(url, signal, redirects = 0) {
+  const target = checkMediaUrl(url);
+  const tooLarge = () => Object.assign(new Error(`Media exceeds ${MEDIA_MAX_BYTES} bytes`), { status: 413 });
+  return new Promise((resolve, reject) => {
+    const request = (target.protocol === 'https:' ? https : http).get(target, { lookup: publicOnlyLookup, signal }, (response) => {
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirects >= MEDIA_URL_MAX_REDIRECTS) {
+          return reject(Object.assign(new Error('Could not download media: too many redirects'), { status: 400 }));
+        }
+        return downloadMedia(new URL(headers.location, target).toString(), signal, redirects + 1).then(resolve, reject);
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        return reject(Object.assign(new Error(`Could not download media: HTTP ${statusCode}`), { status: 400 }));
+      }
+      if (parseInt(headers['content-length'], 10) > MEDIA_MAX_BYTES) {
+        request.destroy();
+        return reject(tooLarge());
+      }
+      const chunks = [];
+      let received = 0;
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > MEDIA_MAX_BYTES) {
+          request.destroy();
+          return reject(tooLarge());
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({ buffer: Buffer.concat(chunks, received), contentType: headers['content-type'] || null }));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+  });
+}
+
+// Helper: load media from a multipart file, base64 string or URL into a Buffer
+async function loadMediaInput({ file, base64, url, mimetype }) {
+  if (file) {
+    return { buffer: file.buffer, mimetype: mimetype || file.mimetype, filename: file.originalname };
+  }
+  if (base64) {
+    // Accept both raw base64 and data URLs (data:<mime>;base64,<data>)
+    const match = /^data:([^;]+);base64,(.*)$/s.exec(base64);
+    const buffer = Buffer.from(match ? match[2] : base64, 'base64');
+    if (buffer.length === 0) throw Object.assign(new Error('base64 media is empty or invalid'), { status: 400 });
+    if (buffer.length > MEDIA_MAX_BYTES) throw Object.assign(new Error(`Media exceeds ${MEDIA_MAX_BYTES} bytes`), { status: 413 });
+    return { buffer, mimetype: mimetype || (match ? match[1] : null), filename: null };
+  }
+  if (url) {
+    const download = await downloadMedia(url, AbortSignal.timeout(MEDIA_DOWNLOAD_TIMEOUT_MS));
+    const contentType = download.contentType?.split(';')[0] || null;
+    const urlName = path.basename(new URL(url).pathname) || null;
+    return { buffer: download.buffer, mimetype: mimetype || contentType, filename: urlName };
+  }
+  throw Object.assign(new Error('One of file, base64 or url is required'), { status: 400 });
+}
+
+// Helper: build the Baileys content object for a media message
+function buildMediaContent(mediaType, { buffer, mimetype, filename, caption, ptt }) {
+  switch (mediaType) {
+    case 'image':
+      return { image: buffer, caption: caption || undefined, mimetype: mimetype || undefined };
+    case 'video':
+      return { video: buffer, caption: caption || undefined, mimetype: mimetype || undefined };
+    case 'audio':
+      // Voice notes must be ogg/opus to render as PTT on the phone
+      return {
+        audio: buffer,
+        ptt: !!ptt,
+        mimetype: ptt ? 'audio/ogg; codecs=opus' : (mimetype || 'audio/mpeg')
+      };
+    case 'sticker':
+      return { sticker: buffer };
+    case 'document':
+    default:
+      return {
+        document: buffer,
+        mimetype: mimetype || 'application/octet-stream',
+        fileName: filename || 'file',
+        caption: caption || undefined
       };
+  }
+}
+
+// Helper: multipart fields arrive as strings
+function parseBooleanField(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+function parseJsonField(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return undefined;
+  }
+}
+
+// Send media (image, video, audio/voice note, document, sticker).
+// Accepts JSON ({ url } or { base64 }) or multipart/form-data with a `file` field.
+app.post('/send-media', requireScope('send', { deferAgentCheck: true }), parseLargeJson, (req, res, next) => {
+  mediaUpload.single('file')(req, res, (err) => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: err.message });
     }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const { agent_id, to, url, base64, caption, filename, mimetype, media_type } = req.body || {};
+    const ptt = parseBooleanField(req.body?.ptt);
+    const quotedMessageKey = parseJsonField(req.body?.quoted_message_key);
+    const quotedMessageContent = parseJsonField(req.body?.quoted_message_content);
     
-    const result = await clientData.sock.sendMessage(formattedNumber, { text: content }, sendOptions);
+    if (!agent_id || !to) {
+      return res.status(400).json({ error: 'agent_id and to are required' });
+    }
+    if (!isValidAgentId(agent_id)) return invalidAgentId(res);
+    if (!canAccessAgent(req, agent_id)) {
+      return res.status(403).json({ error: 'API key is not valid for this agent' });
+    }
+    let servedLocally = false;
+    await routeToOwner(req, res, () => { servedLocally = true; }, agent_id);
+    if (!servedLocally) return;
+    if (!req.file && !url && !base64) {
+      return res.status(400).json({ error: 'One of file (multipart), url or base64 is required' });
+    }
+    if (media_type && !MEDIA_TYPES.includes(media_type)) {
+      return res.status(400).json({ error: `media_type must be one of: ${MEDIA_TYPES.join(', ')}` });
+    }
     
-    // Cache sent message for decryption retry (mobile "waiting for message" fix)
-    if (result?.key?.id) {
-      sentMessages.set(result.key.id, { conversation: content });
-      // Evict oldest entries if cache exceeds limit
-      if (sentMessages.size > MAX_SENT_MESSAGES_CACHE) {
-        const firstKey = sentMessages.keys().next().value;
-        sentMessages.delete(firstKey);
-      }
+    const clientData = clients.get(agent_id);
+    
+    if (!clientData || !clientData.sock) {
+      return res.status(404).json({ error: 'Client not found or not connected' });
     }
     
-    console.log('✅ Message sent:', result.key.id, 'remoteJid:', result?.key?.remoteJid);
-
-    // Expose recipient LID (if Baileys returned one in remoteJidAlt) so the
-    // edge function can seed whatsapp_contact_map immediately on first send.
-    let recipientLid = null;
-    try {
-      if (result?.key?.remoteJidAlt && String(result.key.remoteJidAlt).includes('@lid')) {
-        recipientLid = String(result.key.remoteJidAlt).split('@')[0];
-      } else if (isLidTarget) {
-        recipientLid = String(to).split('@')[0];
-      }
-    } catch (_) { /* ignore */ }
+    if (clientStates.get(agent_id) !== 'open') {
+      return res.status(400).json({ error: 'Client not connected' });
+    }
     
-    // When sending to a @lid, Baileys may reveal the real @s.whatsapp.net JID
-    // in result.key.remoteJid. Persist that mapping in the LID cache and
-    // surface it to the caller so the edge function can heal the conversation.
-    let resolvedPeerJid = null;
-    try {
-      const rj = result?.key?.remoteJid;
-      if (rj && typeof rj === 'string' && rj.endsWith('@s.whatsapp.net')) {
-        resolvedPeerJid = rj;
-        if (isLidTarget) {
-          getLidCache(agent_id).set(to, rj);
-          schedulePersistLidMappings(agent_id);
-          console.log(`🌱 [/send] resolved LID via send: ${to} → ${rj}`);
+    const media = await loadMediaInput({ file: req.file, base64, url, mimetype });
+    const resolvedType = ptt ? 'audio' : (media_type || inferMediaType(media.mimetype));
+    
+    agentLog(agent_id).info({ event: 'message.sending', message_type: ptt ? 'voice' : resolvedType, to, bytes: media.buffer.length }, 'Sending media');
+    
+    const recipient = await resolveRecipientJid(clientData.sock, to);
+    if (recipient.error) {
+      return res.status(400).json({ error: recipient.error });
+    }
+    
+    const content = buildMediaContent(resolvedType, {
+      buffer: media.buffer,
+      mimetype: media.mimetype,
+      filename: filename || media.filename,
+      caption,
+      ptt
+    });
+    const sendOptions = buildSendOptions(quotedMessageKey, quotedMessageContent);
+    const job = enqueueSend(agent_id, {
+      to: recipient.jid,
+      type: resolvedType,
+      bytes: media.buffer.length,
+      typing: ptt
+        ? { chars: Math.round(media.buffer.length / 400), presence: 'recording' }
+        : { chars: String(caption || '').length },
+      run: async (sock) => {
+        const result = await sock.sendMessage(recipient.jid, content, sendOptions);
+        
+        // Cache the full uploaded media message so getMessage retries can re-encrypt it
+        if (result?.key?.id && result.message) {
+          cacheSentMessage(result.key.id, result.message);
+          trackOutgoingMessage(agent_id, result.key, result.status ?? 'pending');
         }
+        
+        agentLog(agent_id).info({ event: 'message.sent', message_id: result.key.id, message_type: resolvedType, jid: result?.key?.remoteJid, source: 'api' }, 'Media sent');
+        
+        const response = {
+          ...buildSendResponse(agent_id, to, recipient.isLidTarget, recipient.jid, result),
+          media_type: resolvedType,
+          ptt: resolvedType === 'audio' ? ptt : undefined
+        };
+        publishEvent(agent_id, 'message', { ...response, direction: 'outbound', source: 'api', message_type: 'media', body: caption || null });
+        return response;
       }
-    } catch (_) { /* ignore */ }
+    });
+    
+    if (parseBooleanField(req.body?.wait ?? true) === false) {
+      return res.status(202).json({ success: true, queued: true, job_id: job.id, position: job.position });
+    }
+    res.json(await job.promise);
+  } catch (error) {
+    agentLog(req.body?.agent_id).error({ event: 'message.send_failed', err: error }, 'Error sending media');
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Serve locally stored media over signed, expiring URLs (no bearer auth: the signature is the auth)
+app.get('/media/:agent_id/:file_name', (req, res) => {
+  const key = `${req.params.agent_id}/${req.params.file_name}`;
+  const filePath = localMediaStorage.verify(key, req.query.expires, req.query.sig);
+  if (!filePath) {
+    return res.status(403).json({ error: 'Invalid or expired media link' });
+  }
+  res.set('Cache-Control', 'private, max-age=3600');
+  res.sendFile(filePath);
+});
+
+// ─── EVENTS TOKENS ───
+// EventSource can't send headers, so /events takes its credential as ?access_token=, where
+// proxies, browser history and access logs keep it. Only a short-lived token is accepted
+// there: POST /events/:agent_id/token trades the API key (sent as a header) for
+// evt_<claims>.<hmac>: read-only, one agent, EVENTS_TOKEN_TTL_MS.
+// It is checked against the issuing key on every use, so revoking the key (or taking the
+// agent or the read scope away from it) also kills its tokens. The HMAC key is the
+// master secret, shared by every replica.
+const EVENTS_TOKEN_PREFIX = 'evt';
+
+function isEventsToken(token) {
+  return typeof token === 'string' && token.startsWith(`${EVENTS_TOKEN_PREFIX}_`);
+}
+
+function signEventsClaims(claims) {
+  return crypto.createHmac('sha256', MICROSERVICE_SECRET).update(`events:${claims}`).digest('base64url');
+}
+
+function issueEventsToken(key, agentId) {
+  const expiresAt = Date.now() + EVENTS_TOKEN_TTL_MS;
+  const claims = Buffer.from(JSON.stringify({ agent_id: agentId, key_id: key.id, exp: expiresAt })).toString('base64url');
+  return {
+    token: `${EVENTS_TOKEN_PREFIX}_${claims}.${signEventsClaims(claims)}`,
+    expires_at: new Date(expiresAt).toISOString()
+  };
+}
+
+// The issuing key, or null for a forged or expired token, another agent, or a key that
+// lost access since
+async function verifyEventsToken(token, agentId) {
+  const [claims, signature] = token.slice(EVENTS_TOKEN_PREFIX.length + 1).split('.');
+  if (!claims || !signature) return null;
+  const expected = Buffer.from(signEventsClaims(claims));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(claims, 'base64url').toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+  if (parsed.agent_id !== agentId || !(parsed.exp > Date.now())) return null;
+  if (parsed.key_id === 'master') return { id: 'master', master: true, scopes: API_KEY_SCOPES, agent_ids: '*' };
+  await apiKeysReady;
+  if (CLUSTER_ENABLED && !apiKeys.has(parsed.key_id) && Date.now() - apiKeysLoadedAt >= API_KEYS_MISS_RELOAD_MS) {
+    await loadApiKeys();
+  }
+  const key = apiKeys.get(parsed.key_id);
+  if (!key || key.revoked_at || !key.scopes.includes('read') || !keyAllowsAgent(key, agentId)) return null;
+  return key;
+}
+
+// /events auth: an events token (query or header), or a read-scoped API key in the header
+const requireEventsRead = requireScope('read');
+
+async function authenticateEventStream(req, res, next) {
+  if (!isValidAgentId(req.params.agent_id)) return invalidAgentId(res);
+  const queryToken = req.query.access_token;
+  if (typeof queryToken === 'string') {
+    if (!isEventsToken(queryToken)) {
+      return res.status(401).json({ error: 'access_token must be an events token from POST /events/:agent_id/token; send API keys in the Authorization header' });
+    }
+    if (!req.headers.authorization) req.headers.authorization = `Bearer ${queryToken}`;
+  }
+  const credential = (req.headers.authorization || '').replace(/^Bearer /, '');
+  if (!isEventsToken(credential)) return requireEventsRead(req, res, next);
+  try {
+    req.apiKey = await verifyEventsToken(credential, req.params.agent_id);
+  } catch (e) {
+    return next(e);
+  }
+  if (!req.apiKey) {
+    return res.status(401).json({ error: 'Invalid or expired events token' });
+  }
+  routeToOwner(req, res, next, req.params.agent_id).catch(next);
+}
+
+// Mint an events token for the agent (any replica can verify it, so no routing needed)
+app.post('/events/:agent_id/token', requireScope('read', { deferAgentCheck: true }), (req, res) => {
+  const { agent_id } = req.params;
+  if (!canAccessAgent(req, agent_id)) {
+    return res.status(403).json({ error: 'API key is not valid for this agent' });
+  }
+  res.status(201).json({ agent_id, ...issueEventsToken(req.apiKey, agent_id), ttl_s: Math.round(EVENTS_TOKEN_TTL_MS / 1000) });
+});
+
+// Live event stream (Server-Sent Events). Starts with a `snapshot` of the current state.
+app.get('/events/:agent_id', authenticateEventStream, (req, res) => {
+  const { agent_id } = req.params;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const clientData = clients.get(agent_id);
+  const state = clientStates.get(agent_id) || null;
+  res.write(`event: snapshot\ndata: ${JSON.stringify({
+    agent_id,
+    state,
+    connected: state === 'open',
+    phone_number: state === 'open' ? jidToPhone(clientData?.sock?.user?.id || '') : null,
+    qr_code: qrCodes.get(agent_id) || null,
+    pairing_code: pairingCodes.get(agent_id)?.code || null,
+    reconnect_attempts: reconnectAttempts.get(agent_id) || 0
+  })}\n\n`);
+
+  const lastEventId = parseInt(req.headers['last-event-id'] || '0', 10) || 0;
+  const unsubscribe = subscribeEvents(agent_id, res, lastEventId);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+  agentLog(agent_id).info({ event: 'sse.opened' }, 'Event stream opened');
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    agentLog(agent_id).info({ event: 'sse.closed' }, 'Event stream closed');
+  });
+});
+
+// Delivery status of an outgoing message: pending | server | delivered | read | played | error
+app.get('/message-status/:agent_id/:message_id', requireScope('read'), async (req, res) => {
+  const { agent_id, message_id } = req.params;
+  try {
+    // An agent without a session here is answered from the store
+    const ack = (messageAcks.get(agent_id) || await readAckMap(agent_id)).get(message_id);
+    if (!ack) {
+      return res.status(404).json({ error: 'Message not tracked (unknown id, not sent by this agent, or evicted)' });
+    }
+    res.json({ agent_id, ...ack });
+  } catch (error) {
+    agentLog(agent_id).error({ event: 'ack.read_failed', err: error }, 'Error reading message status');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Outbound pacing queue: depth, pacing limits, today's count and each pending job's position
+app.get('/send-queue/:agent_id', requireScope('read'), async (req, res) => {
+  const { agent_id } = req.params;
+  const queue = sendQueues.get(agent_id) || await loadSendCounter(agent_id);
+  const nextSendAt = queue.items.length > 0
+    ? new Date(Math.max(queue.lastSentAt + queue.nextDelayMs, Date.now())).toISOString()
+    : null;
+  res.json({
+    agent_id,
+    depth: queue.items.length,
+    pending_bytes: queue.bytes,
+    next_send_at: nextSendAt,
+    sent_today: sentToday(queue),
+    limits: {
+      rate_per_minute: SEND_RATE_PER_MINUTE,
+      min_delay_ms: SEND_MIN_DELAY_MS,
+      jitter_ms: SEND_JITTER_MS,
+      daily_cap: SEND_DAILY_CAP || null,
+      queue_max: SEND_QUEUE_MAX,
+      queue_max_bytes: SEND_QUEUE_MAX_BYTES,
+      typing_simulation: SEND_TYPING_SIMULATION
+    },
+    pending: queue.items.map((job, i) => describeSendJob(job, i + 1))
+  });
+});
+
+// One job: position while pending, outcome (message_id or error) once finished
+app.get('/send-queue/:agent_id/:job_id', requireScope('read'), (req, res) => {
+  const { agent_id, job_id } = req.params;
+  const queue = getSendQueue(agent_id);
+  const index = queue.items.findIndex(j => j.id === job_id);
+  if (index !== -1) {
+    return res.json(describeSendJob(queue.items[index], index + 1));
+  }
+  const finished = queue.finished.find(j => j.id === job_id);
+  if (!finished) {
+    return res.status(404).json({ error: 'Job not found (unknown id or evicted)' });
+  }
+  res.json(describeSendJob(finished));
+});
+
+// List groups the agent participates in (without participants)
+app.get('/groups/:agent_id', requireScope('read'), requireConnectedClient, async (req, res) => {
+  try {
+    const groups = await req.clientData.sock.groupFetchAllParticipating();
+    res.json({
+      groups: Object.values(groups).map(g => ({
+        id: g.id,
+        subject: g.subject || null,
+        size: g.size || g.participants?.length || 0,
+        announce: !!g.announce,
+        restrict: !!g.restrict
+      }))
+    });
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'group.list_failed', err: error }, 'Error listing groups');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Group metadata with participants resolved to phone numbers
+app.get('/groups/:agent_id/:group_id', requireScope('read'), requireConnectedClient, async (req, res) => {
+  try {
+    const { agent_id, group_id } = req.params;
+    const metadata = await req.clientData.sock.groupMetadata(toGroupJid(group_id));
+    res.json(await describeGroup(metadata, req.clientData, agent_id));
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'group.fetch_failed', group_id: req.params.group_id, err: error }, 'Error fetching group metadata');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a group. Body: { subject, participants: [phone | jid] }
+app.post('/groups/:agent_id', requireScope('send'), requireConnectedClient, async (req, res) => {
+  try {
+    const { agent_id } = req.params;
+    const { subject, participants } = req.body || {};
+    if (!subject || !Array.isArray(participants) || participants.length === 0) {
+      return res.status(400).json({ error: 'subject and a non-empty participants array are required' });
+    }
+    const metadata = await req.clientData.sock.groupCreate(subject, participants.map(toUserJid));
+    agentLog(agent_id).info({ event: 'group.created', group_id: metadata.id }, 'Group created');
+    res.status(201).json(await describeGroup(metadata, req.clientData, agent_id));
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'group.create_failed', err: error }, 'Error creating group');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add, remove, promote or demote members. Body: { action, participants: [phone | jid] }
+app.post('/groups/:agent_id/:group_id/participants', requireScope('send'), requireConnectedClient, async (req, res) => {
+  try {
+    const { agent_id, group_id } = req.params;
+    const { action, participants } = req.body || {};
+    if (!['add', 'remove', 'promote', 'demote'].includes(action)) {
+      return res.status(400).json({ error: 'action must be one of: add, remove, promote, demote' });
+    }
+    if (!Array.isArray(participants) || participants.length === 0) {
+      return res.status(400).json({ error: 'participants must be a non-empty array' });
+    }
+    const results = await req.clientData.sock.groupParticipantsUpdate(toGroupJid(group_id), participants.map(toUserJid), action);
+    agentLog(agent_id).info({ event: 'group.participants_updated', group_id, action, count: participants.length }, 'Group participants updated');
+    res.json({
+      success: results.every(r => String(r.status) === '200'),
+      results: results.map(r => ({ jid: r.jid, status: String(r.status) }))
+    });
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'group.participants_failed', group_id: req.params.group_id, err: error }, 'Error updating group participants');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change subject, description and settings. Body: { subject?, description?, announce?, locked? }
+//   announce: true = only admins can send; locked: true = only admins can edit group info
+app.patch('/groups/:agent_id/:group_id', requireScope('send'), requireConnectedClient, async (req, res) => {
+  try {
+    const { agent_id, group_id } = req.params;
+    const { subject, description, announce, locked } = req.body || {};
+    if (subject === undefined && description === undefined && announce === undefined && locked === undefined) {
+      return res.status(400).json({ error: 'Provide at least one of: subject, description, announce, locked' });
+    }
+    const jid = toGroupJid(group_id);
+    const sock = req.clientData.sock;
+    if (subject !== undefined) await sock.groupUpdateSubject(jid, String(subject));
+    if (description !== undefined) await sock.groupUpdateDescription(jid, description ? String(description) : undefined);
+    if (announce !== undefined) await sock.groupSettingUpdate(jid, announce ? 'announcement' : 'not_announcement');
+    if (locked !== undefined) await sock.groupSettingUpdate(jid, locked ? 'locked' : 'unlocked');
+    agentLog(agent_id).info({ event: 'group.updated', group_id }, 'Group updated');
+    res.json(await describeGroup(await sock.groupMetadata(jid), req.clientData, agent_id));
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'group.update_failed', group_id: req.params.group_id, err: error }, 'Error updating group');
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({
-      success: true,
-      message_id: result.key.id,
-      remote_jid: result.key?.remoteJid || formattedNumber,
-      peer_jid: resolvedPeerJid,
-      peer_lid: isLidTarget ? to : null,
-      recipient_lid: recipientLid
-    });
+// Current invite code and link
+app.get('/groups/:agent_id/:group_id/invite-code', requireScope('read'), requireConnectedClient, async (req, res) => {
+  try {
+    const code = await req.clientData.sock.groupInviteCode(toGroupJid(req.params.group_id));
+    res.json({ invite_code: code, invite_link: `https://chat.whatsapp.com/${code}` });
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'group.invite_code_failed', group_id: req.params.group_id, err: error }, 'Error fetching group invite code');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke the invite link and return the new one
+app.post('/groups/:agent_id/:group_id/invite-code/revoke', requireScope('send'), requireConnectedClient, async (req, res) => {
+  try {
+    const code = await req.clientData.sock.groupRevokeInvite(toGroupJid(req.params.group_id));
+    agentLog(req.params.agent_id).info({ event: 'group.invite_revoked', group_id: req.params.group_id }, 'Group invite link revoked');
+    res.json({ invite_code: code, invite_link: `https://chat.whatsapp.com/${code}` });
   } catch (error) {
-    console.error('Error sending message:', error);
+    agentLog(req.params.agent_id).error({ event: 'group.invite_revoke_failed', group_id: req.params.group_id, err: error }, 'Error revoking group invite code');
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get all chats for an agent
-app.get('/chats/:agent_id', authMiddleware, async (req, res) => {
+// Get all chats for an agent (most recent first)
+app.get('/chats/:agent_id', requireScope('read'), async (req, res) => {
   try {
     const { agent_id } = req.params;
     const clientData = clients.get(agent_id);
@@ -1288,30 +5080,35 @@ app.get('/chats/:agent_id', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Client not connected' });
     }
     
-    console.log(`📋 Fetching chats for agent: ${agent_id}`);
+    agentLog(agent_id).debug({ event: 'chats.list' }, 'Fetching chats');
     
-    const chats = clientData.store.chats.all();
+    const chats = clientData.store.chats.all()
+      .sort((a, b) => toUnixTimestamp(b.conversationTimestamp) - toUnixTimestamp(a.conversationTimestamp));
     
     const chatList = chats.map(chat => ({
       id: chat.id,
-      name: chat.name || chat.subject || jidToPhone(chat.id),
+      name: chat.name || chat.subject || getContactName(chat.id, clientData.store, null),
       isGroup: chat.id.endsWith('@g.us'),
-      lastMessageTime: chat.conversationTimestamp,
-      unreadCount: chat.unreadCount || 0
+      lastMessageTime: toUnixTimestamp(chat.conversationTimestamp) || null,
+      unreadCount: chat.unreadCount || 0,
+      archived: !!chat.archived,
+      storedMessages: clientData.store.messages.count(chat.id)
     }));
     
     res.json({ chats: chatList });
   } catch (error) {
-    console.error('Error getting chats:', error);
+    agentLog(req.params.agent_id).error({ event: 'chats.list_failed', err: error }, 'Error getting chats');
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get messages for a specific chat
-app.get('/messages/:agent_id/:chat_id', authMiddleware, async (req, res) => {
+// Get messages for a specific chat, paginated by cursor.
+// Query: limit (max 500), before=<message_id|unix_ts> or after=<message_id|unix_ts>
+app.get('/messages/:agent_id/:chat_id', requireScope('read'), async (req, res) => {
   try {
     const { agent_id, chat_id } = req.params;
-    const { limit = 100 } = req.query;
+    const { before, after } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
     
     const clientData = clients.get(agent_id);
     
@@ -1319,30 +5116,220 @@ app.get('/messages/:agent_id/:chat_id', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Client not connected' });
     }
     
-    console.log(`💬 Fetching messages for ${agent_id} / ${chat_id}`);
+    if (before !== undefined && after !== undefined) {
+      return res.status(400).json({ error: 'Use either before or after, not both' });
+    }
     
-    // Use store to get cached messages
-    const messages = clientData.store.messages[chat_id]?.array?.slice(-parseInt(limit)) || [];
+    agentLog(agent_id).debug({ event: 'messages.list', jid: chat_id }, 'Fetching messages');
     
-    const messageList = messages.map(msg => ({
-      id: msg.key.id,
-      body: extractMessageText(msg.message),
-      timestamp: msg.messageTimestamp,
-      fromMe: msg.key.fromMe || false,
-      hasMedia: !!(msg.message?.imageMessage || msg.message?.videoMessage || msg.message?.audioMessage || msg.message?.documentMessage),
-      from: msg.key.remoteJid,
-      to: msg.key.fromMe ? msg.key.remoteJid : null
-    }));
+    const page = clientData.store.messages.page(chat_id, { limit, before, after });
+    if (!page) {
+      return res.status(400).json({ error: 'Unknown cursor: use a stored message_id or a unix timestamp' });
+    }
+    
+    const messageList = page.messages.map(msg => {
+      const content = unwrapMessage(msg.message);
+      return {
+        id: msg.key.id,
+        body: extractMessageText(content),
+        type: detectMessageType(msg.message).type,
+        timestamp: msg.messageTimestamp,
+        fromMe: msg.key.fromMe || false,
+        hasMedia: !!(content?.imageMessage || content?.videoMessage || content?.audioMessage || content?.documentMessage || content?.stickerMessage),
+        from: msg.key.remoteJid,
+        to: msg.key.fromMe ? msg.key.remoteJid : null,
+        participant: msg.key.participant || null,
+        pushName: msg.pushName || null,
+        status: msg.status ?? null
+      };
+    });
     
-    res.json({ messages: messageList });
+    res.json({
+      messages: messageList,
+      has_more: page.hasMore,
+      cursors: {
+        before: messageList[0]?.id || null,
+        after: messageList[messageList.length - 1]?.id || null
+      }
+    });
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'messages.list_failed', err: error }, 'Error getting messages');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── CONTACT DIRECTORY ───
+// The store's contacts (contacts.upsert/update, chats.upsert, history sync) as a searchable
+// list. A contact known both by phone and by LID shows up once, under the phone. Profile
+// picture, about text and business profile are not synced by WhatsApp and are fetched on demand.
+const PROFILE_FIELDS = ['picture', 'status', 'business'];
+
+// Helper: lowercase and strip accents so "jose" finds "José"
+function foldText(value) {
+  return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// One entry per person: @lid contacts whose phone is cached are merged into the phone entry
+function buildContactDirectory(store, agentId) {
+  const lidCache = getLidCache(agentId);
+  const entries = new Map(); // jid (phone, or LID while unresolved) -> entry
+  for (const [id, contact] of Object.entries(store.contacts)) {
+    const isLid = id.endsWith('@lid');
+    if (!isLid && !id.endsWith('@s.whatsapp.net')) continue;
+    const jid = isLid ? (lidCache.get(id) || id) : id;
+    const entry = entries.get(jid) || { jid, lid: null, name: null, notify: null, verified_name: null, picture_url: null, status: null };
+    entry.lid = entry.lid || (isLid ? id : contact.lid || null);
+    entry.name = entry.name || contact.name || null;
+    entry.notify = entry.notify || contact.notify || null;
+    entry.verified_name = entry.verified_name || contact.verifiedName || null;
+    // contacts.update reports picture changes as imgUrl 'changed' / 'removed'
+    if (!entry.picture_url && contact.imgUrl?.startsWith('http')) entry.picture_url = contact.imgUrl;
+    entry.status = entry.status || contact.status || null;
+    entries.set(jid, entry);
+  }
+  return Array.from(entries.values());
+}
+
+function contactDisplayName(entry) {
+  return entry.name || entry.notify || entry.verified_name || jidToPhone(entry.jid);
+}
+
+// Names match accent- and case-insensitively; 3+ digits also match the phone or LID
+function contactMatches(entry, query) {
+  const text = foldText(query);
+  if ([entry.name, entry.notify, entry.verified_name].some(v => v && foldText(v).includes(text))) return true;
+  const digits = query.replace(/\D/g, '');
+  return digits.length >= 3 && [entry.jid, entry.lid].some(v => v && jidToPhone(v).includes(digits));
+}
+
+async function describeDirectoryContact(entry, store, sock, agentId) {
+  const resolved = entry.jid.includes('@lid') ? await resolveContactId(entry.jid, null, store, sock, agentId) : entry.jid;
+  return {
+    jid: resolved,
+    phone_number: resolved && !resolved.includes('@lid') ? jidToPhone(resolved) : null,
+    lid: entry.lid ? jidToPhone(entry.lid) : null,
+    name: entry.name,
+    notify: entry.notify,
+    verified_name: entry.verified_name,
+    display_name: contactDisplayName(entry),
+    picture_url: entry.picture_url,
+    status: entry.status
+  };
+}
+
+// Profile lookups fail with 404/401 when there is no picture or privacy hides it: both mean null
+async function fetchProfileField(agentId, field, fetcher) {
+  try {
+    return (await fetcher()) || null;
+  } catch (e) {
+    agentLog(agentId).debug({ event: 'contact.profile_field_failed', field, status_code: e?.output?.statusCode || null, err: e }, 'Profile field unavailable');
+    return null;
+  }
+}
+
+// List or search the directory. Works while disconnected too, from the saved store.
+// Query: q (name, phone or LID digits), limit (max 500), offset
+app.get('/contacts/:agent_id', requireScope('read'), async (req, res) => {
+  try {
+    const { agent_id } = req.params;
+    const q = String(req.query.q || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const clientData = clients.get(agent_id);
+    let store = clientData?.store || chatStores.get(agent_id);
+    if (!store) {
+      // No session here: work on a copy of the stored one, never cached
+      const data = await authStore.read(agent_id, STORE_KEY);
+      if (data) {
+        store = createStore();
+        store.fromJSON(data);
+      }
+    }
+    if (!store) {
+      return res.status(404).json({ error: 'No contacts stored for this agent' });
+    }
+
+    const matches = buildContactDirectory(store, agent_id)
+      .filter(entry => !q || contactMatches(entry, q))
+      .sort((a, b) => contactDisplayName(a).localeCompare(contactDisplayName(b)));
+    const contacts = await Promise.all(matches.slice(offset, offset + limit)
+      .map(entry => describeDirectoryContact(entry, store, clientData?.sock, agent_id)));
+
+    agentLog(agent_id).debug({ event: 'contacts.list', query: q || null, total: matches.length }, 'Listing contacts');
+    res.json({ contacts, total: matches.length, limit, offset, has_more: offset + contacts.length < matches.length });
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'contacts.list_failed', err: error }, 'Error listing contacts');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live profile of one contact. :contact is a phone number, a JID or "<lid>@lid".
+// Query: include=picture,status,business (default all), picture=image|preview
+app.get('/contacts/:agent_id/:contact/profile', requireScope('read'), requireConnectedClient, async (req, res) => {
+  const { agent_id, contact } = req.params;
+  try {
+    const include = req.query.include ? String(req.query.include).split(',').map(f => f.trim()).filter(Boolean) : PROFILE_FIELDS;
+    const unknown = include.filter(f => !PROFILE_FIELDS.includes(f));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown include field(s): ${unknown.join(', ')} (expected ${PROFILE_FIELDS.join(', ')})` });
+    }
+    const pictureType = req.query.picture === 'preview' ? 'preview' : 'image';
+    const { sock, store } = req.clientData;
+
+    const requested = toUserJid(contact);
+    if (!jidToPhone(requested) || (!requested.endsWith('@s.whatsapp.net') && !requested.endsWith('@lid'))) {
+      return res.status(400).json({ error: 'contact must be a phone number, a user JID or a LID' });
+    }
+    // Profiles are looked up by phone JID when the LID layers know it
+    const jid = await resolveContactId(requested, null, store, sock, agent_id);
+    const known = store.contacts[jid];
+
+    const [picture, about, business] = await Promise.all([
+      include.includes('picture') ? fetchProfileField(agent_id, 'picture', () => sock.profilePictureUrl(jid, pictureType)) : undefined,
+      include.includes('status') ? fetchProfileField(agent_id, 'status', async () => {
+        // Baileys 6.7 answers a USync list ([{ id, status: { status, setAt } }]); older versions the bare object
+        const result = await sock.fetchStatus(jid);
+        const status = Array.isArray(result) ? result[0]?.status : result;
+        return status?.status ? { text: status.status, set_at: status.setAt ? new Date(status.setAt).toISOString() : null } : null;
+      }) : undefined,
+      include.includes('business') ? fetchProfileField(agent_id, 'business', async () => {
+        const profile = await sock.getBusinessProfile(jid);
+        return profile ? {
+          description: profile.description || null,
+          category: profile.category || null,
+          email: profile.email || null,
+          websites: profile.website || [],
+          address: profile.address || null,
+          business_hours: profile.business_hours || null
+        } : null;
+      }) : undefined
+    ]);
+
+    // Remember what was fetched so the directory listing shows it too
+    if (known) {
+      if (picture !== undefined && pictureType === 'image') known.imgUrl = picture || 'removed';
+      if (about !== undefined) known.status = about?.text || undefined;
+      schedulePersistStore(agent_id);
+    }
+
+    res.json({
+      jid,
+      phone_number: jid.includes('@lid') ? null : jidToPhone(jid),
+      lid: requested.endsWith('@lid') ? jidToPhone(requested) : (known?.lid ? jidToPhone(known.lid) : null),
+      name: known ? getContactName(jid, store, null) : null,
+      picture_url: picture,
+      about,
+      business
+    });
   } catch (error) {
-    console.error('Error getting messages:', error);
+    agentLog(agent_id).error({ event: 'contact.profile_failed', err: error }, 'Error fetching contact profile');
     res.status(500).json({ error: error.message });
   }
 });
 
 // Resolve a LID to its real phone number on demand
-app.post('/resolve-lid', authMiddleware, async (req, res) => {
+app.post('/resolve-lid', requireScope('read'), async (req, res) => {
   try {
     const { agentId, lid } = req.body || {};
     if (!agentId || !lid) {
@@ -1356,18 +5343,18 @@ app.post('/resolve-lid', authMiddleware, async (req, res) => {
     const resolved = await resolveContactId(lidJid, null, clientData.store, clientData.sock, agentId);
     if (resolved && !resolved.includes('@lid')) {
       const phone = jidToPhone(resolved);
-      console.log(`🔎 /resolve-lid ${agentId} ${lidJid} -> ${phone}`);
+      agentLog(agentId).debug({ event: 'lid.lookup', lid: lidJid, phone, layer: 'cache' }, '/resolve-lid hit');
       return res.json({ resolved: true, lid: lidJid, phone_number: phone, jid: resolved });
     }
     return res.json({ resolved: false, lid: lidJid });
   } catch (error) {
-    console.error('Error in /resolve-lid:', error);
+    log.error({ event: 'lid.lookup_failed', err: error }, 'Error in /resolve-lid');
     res.status(500).json({ error: error.message, resolved: false });
   }
 });
 
 // Active lookup of a JID/LID via onWhatsApp (queries WhatsApp servers directly)
-app.post('/lookup-jid', authMiddleware, async (req, res) => {
+app.post('/lookup-jid', requireScope('read'), async (req, res) => {
   try {
     const { agentId, lid } = req.body || {};
     if (!agentId || !lid) {
@@ -1396,7 +5383,7 @@ app.post('/lookup-jid', authMiddleware, async (req, res) => {
       const cachedJid = getLidCache(agentId).get(lidJid);
       const phone = resolvePhoneFromJid(cachedJid);
       if (phone) {
-        console.log(`🔎 /lookup-jid ${agentId} ${lidJid} -> ${phone} (memory_cache)`);
+        agentLog(agentId).debug({ event: 'lid.lookup', lid: lidJid, phone, layer: 'memory_cache' }, '/lookup-jid hit');
         return res.json({ resolved: true, phone_number: phone, source: 'memory_cache', jid: cachedJid });
       }
     } catch (_) {
@@ -1409,7 +5396,7 @@ app.post('/lookup-jid', authMiddleware, async (req, res) => {
       const phone = resolvePhoneFromJid(pn);
       if (phone) {
         getLidCache(agentId).set(lidJid, pn);
-        console.log(`🔎 /lookup-jid ${agentId} ${lidJid} -> ${phone} (signal_repository)`);
+        agentLog(agentId).debug({ event: 'lid.lookup', lid: lidJid, phone, layer: 'signal_repository' }, '/lookup-jid hit');
         return res.json({ resolved: true, phone_number: phone, source: 'signal_repository', jid: pn });
       }
     } catch (_) {
@@ -1422,7 +5409,7 @@ app.post('/lookup-jid', authMiddleware, async (req, res) => {
       const directPhone = resolvePhoneFromJid(directContact?.id);
       if (directPhone) {
         getLidCache(agentId).set(lidJid, directContact.id);
-        console.log(`🔎 /lookup-jid ${agentId} ${lidJid} -> ${directPhone} (store_direct)`);
+        agentLog(agentId).debug({ event: 'lid.lookup', lid: lidJid, phone: directPhone, layer: 'store_direct' }, '/lookup-jid hit');
         return res.json({ resolved: true, phone_number: directPhone, source: 'store_direct', jid: directContact.id });
       }
 
@@ -1431,7 +5418,7 @@ app.post('/lookup-jid', authMiddleware, async (req, res) => {
           const mappedPhone = resolvePhoneFromJid(contactJid);
           if (mappedPhone) {
             getLidCache(agentId).set(lidJid, contactJid);
-            console.log(`🔎 /lookup-jid ${agentId} ${lidJid} -> ${mappedPhone} (store_contacts)`);
+            agentLog(agentId).debug({ event: 'lid.lookup', lid: lidJid, phone: mappedPhone, layer: 'store_contacts' }, '/lookup-jid hit');
             return res.json({ resolved: true, phone_number: mappedPhone, source: 'store_contacts', jid: contactJid });
           }
         }
@@ -1450,39 +5437,406 @@ app.post('/lookup-jid', authMiddleware, async (req, res) => {
 
         if (phone) {
           getLidCache(agentId).set(lidJid, jid);
-          console.log(`🔎 /lookup-jid ${agentId} ${candidate} -> ${phone} (on_whatsapp)`);
+          agentLog(agentId).debug({ event: 'lid.lookup', lid: candidate, phone, layer: 'on_whatsapp' }, '/lookup-jid hit');
           return res.json({ resolved: true, phone_number: phone, source: 'on_whatsapp', jid });
         }
       } catch (err) {
-        console.warn(`⚠️ /lookup-jid onWhatsApp failed for ${candidate}: ${err.message}`);
+        agentLog(agentId).warn({ event: 'lid.lookup_failed', lid: candidate, err }, '/lookup-jid onWhatsApp failed');
       }
     }
 
     return res.json({ resolved: false, lid: lidJid });
   } catch (error) {
-    console.error('Error in /lookup-jid:', error);
+    log.error({ event: 'lid.lookup_failed', err: error }, 'Error in /lookup-jid');
     res.status(500).json({ error: error.message, resolved: false });
   }
 });
 
 // Disconnect
-app.post('/disconnect/:agent_id', authMiddleware, async (req, res) => {
+app.post('/disconnect/:agent_id', requireScope('session'), async (req, res) => {
   try {
     const { agent_id } = req.params;
-    console.log(`🔌 Disconnect request for agent: ${agent_id}`);
+    agentLog(agent_id).info({ event: 'session.disconnect' }, 'Disconnect request');
     
     await destroyClient(agent_id);
     
     res.json({ success: true, message: 'Client disconnected and cleaned up' });
   } catch (error) {
-    console.error(`❌ Error disconnecting client for ${agent_id}:`, error);
+    agentLog(req.params.agent_id).error({ event: 'session.disconnect_failed', err: error }, 'Error disconnecting client');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bring a suspended session back from its saved creds (no QR). The socket connects in
+// the background: follow it through /status or the SSE stream.
+app.post('/resume/:agent_id', requireScope('session'), async (req, res) => {
+  const { agent_id } = req.params;
+  try {
+    if (clients.has(agent_id)) {
+      return res.status(409).json({ error: 'Session is not suspended', state: clientStates.get(agent_id) || null });
+    }
+    if (!(await authStore.read(agent_id, 'creds'))) {
+      return res.status(404).json({ error: 'No saved credentials for this agent; use /init' });
+    }
+    const activeCount = countConnectedClients();
+    if (activeCount >= MAX_CONCURRENT_SESSIONS) {
+      return res.status(503).json({
+        error: 'Límite de sesiones alcanzado',
+        active_clients: activeCount,
+        max_clients: MAX_CONCURRENT_SESSIONS
+      });
+    }
+    
+    const suspension = suspendedSessions.get(agent_id) || null;
+    agentLog(agent_id).info({ event: 'session.resume', reason: suspension?.reason || null }, 'Resume request');
+    clearSuspension(agent_id);
+    reconnectAttempts.delete(agent_id);
+    clientStates.set(agent_id, 'connecting');
+    
+    initializeClient(agent_id, true)
+      .then((clientData) => clients.set(agent_id, clientData))
+      .catch((err) => {
+        agentLog(agent_id).error({ event: 'session.resume_failed', err }, 'Resume failed');
+        // 409: another instance claimed it first and runs it now
+        if (err.code !== 'CONNECTION_CLOSED' && err.status !== 409) {
+          suspendSession(agent_id, { reason: 'reconnect_failed', message: err.message });
+        }
+      });
+    
+    res.status(202).json({ success: true, agent_id, state: 'connecting', resumed_from: suspension });
+  } catch (error) {
+    agentLog(agent_id).error({ event: 'session.resume_failed', err: error }, 'Error resuming session');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── SESSION EXPORT / IMPORT ───
+// Moves a paired session to another host without a new QR: /export seals creds, signal
+// keys, LID mappings and the chat/contact store into an archive (see session-archive.js)
+// and /import on the other host writes it into its own auth store (re-encrypted with the
+// local AUTH_ENCRYPTION_KEY, if any) and reconnects through the isReconnect path.
+// Two hosts must never run the same creds at once, so by default the export also stops
+// the local socket and leaves the session suspended with reason 'exported'.
+
+// Chat/contact store as it is now: from memory when loaded, else from its file
+async function readStoreSnapshot(agentId) {
+  const store = chatStores.get(agentId);
+  if (store) return store.toJSON();
+  return authStore.read(agentId, STORE_KEY).catch(() => null);
+}
+
+// Body: { passphrase?, keep_running? }. Answers the archive as application/octet-stream.
+app.post('/export/:agent_id', requireScope('admin'), async (req, res) => {
+  const { agent_id } = req.params;
+  const passphrase = req.body?.passphrase || SESSION_EXPORT_PASSPHRASE;
+  const keepRunning = parseBooleanField(req.body?.keep_running);
+  try {
+    if (!passphrase) {
+      return res.status(400).json({ error: 'passphrase is required (or set SESSION_EXPORT_PASSPHRASE)' });
+    }
+    const creds = await authStore.read(agent_id, 'creds');
+    if (!creds) {
+      return res.status(404).json({ error: 'No saved credentials for this agent' });
+    }
+    if (!creds.me) {
+      return res.status(409).json({ error: 'Session is not paired yet; finish the QR or pairing code first' });
+    }
+
+    if (!keepRunning) {
+      const sock = clients.get(agent_id)?.sock;
+      await suspendSession(agent_id, { reason: 'exported' });
+      if (sock) {
+        try {
+          sock.end(undefined);
+        } catch (e) {
+          // already closed
+        }
+      }
+      await Promise.allSettled(Array.from(pendingCredsWrites));
+    }
+    await persistLidMappingsNow(agent_id);
+
+    // Other drivers list the service's own keys too; the store travels separately
+    const auth = (await authStore.readPrefix(agent_id, ''))
+      .filter(([key]) => key !== SUSPENDED_KEY && !SERVICE_KEYS.includes(key));
+    const archive = await sealArchive({
+      agent_id,
+      exported_at: new Date().toISOString(),
+      exported_by: INSTANCE_ID,
+      auth,
+      store: await readStoreSnapshot(agent_id)
+    }, passphrase);
+    agentLog(agent_id).info({ event: 'session.exported', keys: auth.length, bytes: archive.length, keep_running: keepRunning }, 'Session exported');
+
+    res.set('Content-Type', 'application/octet-stream');
+    res.set('Content-Disposition', `attachment; filename="${agent_id}.wasession"`);
+    res.send(archive);
+  } catch (error) {
+    agentLog(agent_id).error({ event: 'session.export_failed', err: error }, 'Error exporting session');
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Archive as a multipart `file` or base64 `archive`, plus passphrase. overwrite=true
+// replaces a session that already has creds here (only while it isn't running).
+app.post('/import/:agent_id', requireScope('admin', { deferAgentCheck: true }), parseLargeJson, (req, res, next) => {
+  mediaUpload.single('file')(req, res, (err) => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: err.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  const { agent_id } = req.params;
+  try {
+    if (!canAccessAgent(req, agent_id)) {
+      return res.status(403).json({ error: 'API key is not valid for this agent' });
+    }
+    let servedLocally = false;
+    await routeToOwner(req, res, () => { servedLocally = true; }, agent_id);
+    if (!servedLocally) return;
+
+    const passphrase = req.body?.passphrase || SESSION_EXPORT_PASSPHRASE;
+    const archive = req.file?.buffer || (req.body?.archive ? Buffer.from(req.body.archive, 'base64') : null);
+    if (!archive || !passphrase) {
+      return res.status(400).json({ error: 'archive (multipart file or base64) and passphrase are required' });
+    }
+    if (clients.has(agent_id)) {
+      return res.status(409).json({ error: 'Session is running here; export or disconnect it first', state: clientStates.get(agent_id) || null });
+    }
+    if (!parseBooleanField(req.body?.overwrite) && await authStore.read(agent_id, 'creds')) {
+      return res.status(409).json({ error: 'This agent already has credentials here; pass overwrite=true to replace them' });
+    }
+    const activeCount = countConnectedClients();
+    if (activeCount >= MAX_CONCURRENT_SESSIONS) {
+      return res.status(503).json({
+        error: 'Límite de sesiones alcanzado',
+        active_clients: activeCount,
+        max_clients: MAX_CONCURRENT_SESSIONS
+      });
+    }
+
+    let payload;
+    try {
+      payload = await openArchive(archive, passphrase);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (!(await claimSession(agent_id))) {
+      return res.status(409).json({ error: 'Session is owned by another instance' });
+    }
+
+    // Start from a clean slate so no key of a previous session survives next to the imported ones
+    await authStore.clear(agent_id);
+    dropStore(agent_id);
+    dropMessageAcks(agent_id);
+    dropSendQueue(agent_id);
+    lidToPhoneCache.delete(agent_id);
+    suspendedSessions.delete(agent_id);
+    reconnectAttempts.delete(agent_id);
+
+    // creds last, as in migrate-auth: an agent with creds is a complete session
+    for (const [key, value] of payload.auth) {
+      if (key !== 'creds') await authStore.write(agent_id, key, value);
+    }
+    await authStore.write(agent_id, 'creds', payload.auth.find(([key]) => key === 'creds')[1]);
+    if (payload.store) {
+      getStore(agent_id).fromJSON(payload.store);
+      await persistStoreNow(agent_id);
+    }
+    agentLog(agent_id).info({ event: 'session.imported', source_agent_id: payload.agent_id, exported_at: payload.exported_at, keys: payload.auth.length }, 'Session imported');
+
+    clientStates.set(agent_id, 'connecting');
+    initializeClient(agent_id, true)
+      .then((clientData) => clients.set(agent_id, clientData))
+      .catch((err) => {
+        agentLog(agent_id).error({ event: 'session.import_connect_failed', err }, 'Imported session could not connect');
+        if (err.code !== 'CONNECTION_CLOSED' && err.status !== 409) {
+          suspendSession(agent_id, { reason: 'reconnect_failed', message: err.message });
+        }
+      });
+
+    res.status(202).json({
+      success: true,
+      agent_id,
+      state: 'connecting',
+      imported_from: { agent_id: payload.agent_id, exported_at: payload.exported_at, exported_by: payload.exported_by || null }
+    });
+  } catch (error) {
+    agentLog(agent_id).error({ event: 'session.import_failed', err: error }, 'Error importing session');
+    if (!clients.has(agent_id)) await releaseSession(agent_id);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// List webhook deliveries still waiting to be delivered (payloads omitted)
+app.get('/webhook-queue/:agent_id', requireScope('admin'), async (req, res) => {
+  try {
+    const { agent_id } = req.params;
+    const queue = webhookQueues.get(agent_id);
+    const pending = queue
+      ? Array.from(queue.pending.values()).sort((a, b) => a.created_at - b.created_at).map(summarizeDelivery)
+      : [];
+    res.json({ agent_id, count: pending.length, deliveries: pending });
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'webhook.queue_list_failed', err: error }, 'Error listing webhook queue');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List dead-lettered webhook deliveries (payloads omitted)
+app.get('/webhook-dead-letter/:agent_id', requireScope('admin'), async (req, res) => {
+  try {
+    const { agent_id } = req.params;
+    const deliveries = await readDeadLetters(agent_id);
+    res.json({ agent_id, count: deliveries.length, deliveries: deliveries.map(summarizeDelivery) });
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'webhook.dead_letter_list_failed', err: error }, 'Error listing dead-letter webhooks');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Inspect one dead-lettered delivery, including its payload
+app.get('/webhook-dead-letter/:agent_id/:delivery_id', requireScope('admin'), async (req, res) => {
+  try {
+    const { agent_id, delivery_id } = req.params;
+    const delivery = (await readDeadLetters(agent_id)).find(d => d.id === delivery_id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json({ ...summarizeDelivery(delivery), url: delivery.url, payload: delivery.payload });
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'webhook.dead_letter_read_failed', err: error }, 'Error reading dead-letter webhook');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replay dead-lettered deliveries. Body: { ids?: string[] } (all when omitted)
+app.post('/webhook-dead-letter/:agent_id/replay', requireScope('admin'), async (req, res) => {
+  try {
+    const { agent_id } = req.params;
+    const { ids } = req.body || {};
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({ error: 'ids must be an array of delivery ids' });
+    }
+    const replayed = await replayDeadLetters(agent_id, ids || null);
+    res.json({ success: true, replayed: replayed.length, ids: replayed });
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'webhook.dead_letter_replay_failed', err: error }, 'Error replaying dead-letter webhooks');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Purge dead-lettered deliveries. Body: { ids?: string[] } (all when omitted)
+app.delete('/webhook-dead-letter/:agent_id', requireScope('admin'), async (req, res) => {
+  try {
+    const { agent_id } = req.params;
+    const { ids } = req.body || {};
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({ error: 'ids must be an array of delivery ids' });
+    }
+    const purged = await purgeDeadLetters(agent_id, ids || null);
+    res.json({ success: true, purged: purged.length, ids: purged });
+  } catch (error) {
+    agentLog(req.params.agent_id).error({ event: 'webhook.dead_letter_purge_failed', err: error }, 'Error purging dead-letter webhooks');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── API KEY MANAGEMENT ───
+
+// Create a key. Body: { name, scopes: [...], agent_ids: [...] | '*' }. The key is only returned here.
+app.post('/api-keys', requireKeyAdmin, async (req, res) => {
+  try {
+    const { name, scopes, agent_ids } = req.body || {};
+    if (!scopes || !agent_ids) {
+      return res.status(400).json({ error: 'scopes and agent_ids are required' });
+    }
+    const invalid = validateApiKeyFields({ scopes, agent_ids });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const id = crypto.randomBytes(6).toString('hex');
+    const plaintext = `${API_KEY_PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    const key = {
+      id,
+      name: name || null,
+      hash: hashApiKey(plaintext),
+      scopes: Array.from(new Set(scopes)),
+      agent_ids,
+      created_at: new Date().toISOString(),
+      last_used_at: null,
+      revoked_at: null
+    };
+    await saveApiKey(key);
+    apiKeys.set(id, key);
+    log.info({ event: 'api_keys.created', key_id: id, scopes: key.scopes, agent_ids }, 'API key created');
+    res.status(201).json({ ...describeApiKey(key), key: plaintext });
+  } catch (error) {
+    log.error({ event: 'api_keys.create_failed', err: error }, 'Error creating API key');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List keys (hashes are never returned)
+app.get('/api-keys', requireKeyAdmin, async (req, res) => {
+  const { agent_id } = req.query;
+  if (CLUSTER_ENABLED) await loadApiKeys();
+  const keys = Array.from(apiKeys.values())
+    .filter(k => !agent_id || keyAllowsAgent(k, agent_id))
+    .map(describeApiKey);
+  res.json({ keys });
+});
+
+// Update scopes or agents of a key. Body: { name?, scopes?, agent_ids? }
+app.patch('/api-keys/:key_id', requireKeyAdmin, async (req, res) => {
+  try {
+    if (CLUSTER_ENABLED) await loadApiKeys(); // edit the latest copy, not ours
+    const key = apiKeys.get(req.params.key_id);
+    if (!key || key.revoked_at) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    const { name, scopes, agent_ids } = req.body || {};
+    const invalid = validateApiKeyFields({ scopes, agent_ids });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (name !== undefined) key.name = name;
+    if (scopes !== undefined) key.scopes = Array.from(new Set(scopes));
+    if (agent_ids !== undefined) key.agent_ids = agent_ids;
+    await saveApiKey(key);
+    log.info({ event: 'api_keys.updated', key_id: key.id }, 'API key updated');
+    res.json(describeApiKey(key));
+  } catch (error) {
+    log.error({ event: 'api_keys.update_failed', err: error }, 'Error updating API key');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a key (kept in the store for audit, never accepted again)
+app.delete('/api-keys/:key_id', requireKeyAdmin, async (req, res) => {
+  try {
+    if (CLUSTER_ENABLED) await loadApiKeys();
+    const key = apiKeys.get(req.params.key_id);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    if (!key.revoked_at) {
+      key.revoked_at = new Date().toISOString();
+      await saveApiKey(key);
+      log.info({ event: 'api_keys.revoked', key_id: key.id }, 'API key revoked');
+    }
+    res.json({ success: true, ...describeApiKey(key) });
+  } catch (error) {
+    log.error({ event: 'api_keys.revoke_failed', err: error }, 'Error revoking API key');
     res.status(500).json({ error: error.message });
   }
 });
 
 // 🧹 Automatic cleanup of inactive/disconnected clients every 5 minutes
-setInterval(async () => {
-  console.log(`🧹 Running automatic cleanup check... (${clients.size} clients, ${qrCodes.size} pending QRs)`);
+const cleanupInterval = setInterval(async () => {
+  log.debug({ event: 'cleanup.run', clients: clients.size, pending_qrs: qrCodes.size }, 'Running automatic cleanup check');
   
   let cleanedUp = 0;
   
@@ -1490,69 +5844,277 @@ setInterval(async () => {
     const state = clientStates.get(agentId);
     
     if (state !== 'open' && state !== 'connecting' && !reconnectAttempts.has(agentId)) {
-      console.log(`🗑️ Cleaning up disconnected client: ${agentId} (state: ${state || 'unknown'})`);
+      agentLog(agentId).info({ event: 'cleanup.client', state: state || 'unknown' }, 'Cleaning up disconnected client');
       await destroyClient(agentId, false); // Soft cleanup: preserve auth on disk
       cleanedUp++;
     }
   }
   
   if (cleanedUp > 0) {
-    console.log(`✅ Cleaned up ${cleanedUp} inactive clients. Remaining: ${clients.size}`);
+    log.info({ event: 'cleanup.done', cleaned: cleanedUp, remaining: clients.size }, 'Inactive clients cleaned up');
   } else {
-    console.log(`✅ No inactive clients to clean up`);
+    log.debug({ event: 'cleanup.done', cleaned: 0, remaining: clients.size }, 'No inactive clients to clean up');
+  }
+  
+  // Local media links expire after MEDIA_URL_TTL_SECONDS, so the files can go too
+  try {
+    const removed = await localMediaStorage.prune(MEDIA_URL_TTL_SECONDS * 1000);
+    if (removed > 0) log.info({ event: 'cleanup.media', removed }, 'Expired local media files removed');
+  } catch (e) {
+    log.warn({ event: 'cleanup.media_failed', err: e }, 'Local media prune failed');
+  }
+
+  try {
+    const removed = await pruneScheduledJobs();
+    if (removed > 0) log.info({ event: 'cleanup.schedule', removed }, 'Finished scheduled jobs removed');
+  } catch (e) {
+    log.warn({ event: 'cleanup.schedule_failed', err: e }, 'Scheduled job prune failed');
+  }
+
+  try {
+    const removed = await pruneBroadcasts();
+    if (removed > 0) log.info({ event: 'cleanup.broadcast', removed }, 'Finished broadcasts removed');
+  } catch (e) {
+    log.warn({ event: 'cleanup.broadcast_failed', err: e }, 'Broadcast prune failed');
   }
 }, CLEANUP_INTERVAL_MS);
 
-// Auto-restore saved sessions on boot
-async function restoreSessions() {
+// Auto-restore saved sessions on boot. With CLUSTER_DRIVER this also runs every
+// ORPHAN_SCAN_MS: a session is only started once its lease is ours, so sessions of live
+// instances are left alone and those of a dead instance are adopted once its leases expire.
+async function restoreSessions({ periodic = false } = {}) {
   try {
-    if (!fsSync.existsSync(AUTH_DIR)) return;
-    
-    const dirs = fsSync.readdirSync(AUTH_DIR).filter(d => {
-      const fullPath = path.join(AUTH_DIR, d);
-      return fsSync.statSync(fullPath).isDirectory()
-        && fsSync.existsSync(path.join(fullPath, 'creds.json'));
-    });
+    const dirs = await authStore.listAgents();
 
     if (dirs.length === 0) {
-      console.log('📂 No saved sessions found to restore');
+      if (!periodic) log.info({ event: 'restore.none' }, 'No saved sessions found to restore');
       return;
     }
 
-    console.log(`🔄 Found ${dirs.length} saved session(s) to restore...`);
+    if (!periodic) log.info({ event: 'restore.start', count: dirs.length, driver: authStore.name, cluster: CLUSTER_DRIVER }, 'Restoring saved sessions');
 
+    let restored = 0;
     for (const agentId of dirs) {
-      if (clients.has(agentId)) {
-        console.log(`⏭️ Session ${agentId} already active, skipping`);
+      if (shuttingDown) break;
+      if (clients.has(agentId) || ownedAgents.has(agentId)) {
+        if (!periodic) agentLog(agentId).info({ event: 'restore.skipped' }, 'Session already active, skipping restore');
+        continue;
+      }
+      const suspension = await authStore.read(agentId, SUSPENDED_KEY).catch(() => null);
+      if (suspension) {
+        if (!suspendedSessions.has(agentId)) {
+          suspendedSessions.set(agentId, suspension);
+          clientStates.set(agentId, 'suspended');
+          agentLog(agentId).info({ event: 'restore.skipped', reason: 'suspended' }, 'Session is suspended, skipping restore');
+        }
         continue;
       }
+      if (suspendedSessions.delete(agentId)) clientStates.delete(agentId); // resumed elsewhere
+      if (countConnectedClients() >= MAX_CONCURRENT_SESSIONS) {
+        log.warn({ event: 'restore.capacity', max: MAX_CONCURRENT_SESSIONS }, 'Session limit reached, leaving the rest to other instances');
+        break;
+      }
+      // Taken by a live instance: not ours to start
+      if (!(await claimSession(agentId))) continue;
       try {
-        console.log(`🔄 Restoring session: ${agentId}`);
+        agentLog(agentId).info({ event: 'restore.session', orphaned: periodic }, 'Restoring session');
         const clientData = await initializeClient(agentId, true);
         clients.set(agentId, clientData);
-        console.log(`✅ Session restored: ${agentId}`);
+        restored++;
+        agentLog(agentId).info({ event: 'restore.restored' }, 'Session restored');
       } catch (err) {
-        console.error(`❌ Failed to restore session ${agentId}:`, err.message);
+        agentLog(agentId).error({ event: 'restore.failed', err }, 'Failed to restore session');
+        // A closed connection is the close handler's business; anything else never got a socket
+        if (err.code !== 'CONNECTION_CLOSED') await releaseSession(agentId);
       }
     }
 
-    console.log(`🔄 Session restoration complete. Active sessions: ${clients.size}`);
+    if (!periodic || restored > 0) {
+      log.info({ event: 'restore.done', active: clients.size, restored }, 'Session restoration complete');
+    }
   } catch (err) {
-    console.error('❌ Error during session restoration:', err.message);
+    log.error({ event: 'restore.failed', err }, 'Error during session restoration');
+  }
+}
+
+// ─── GRACEFUL SHUTDOWN ───
+// SIGTERM/SIGINT (Railway redeploys): stop HTTP, flush every debounced write, let
+// in-flight webhook POSTs finish, end sockets WITHOUT logging out, wait for creds to hit
+// disk, exit. SHUTDOWN_TIMEOUT_MS is a hard deadline for the whole sequence.
+function trackCredsWrite(promise) {
+  const tracked = Promise.resolve(promise)
+    .catch((e) => log.error({ event: 'auth.creds_write_failed', err: e }, 'saveCreds failed'))
+    .finally(() => pendingCredsWrites.delete(tracked));
+  pendingCredsWrites.add(tracked);
+  return tracked;
+}
+
+// Run every pending debounced write of a timer map right now
+async function flushTimers(timers, flush) {
+  const keys = Array.from(timers.keys());
+  for (const key of keys) {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  }
+  await Promise.allSettled(keys.map(flush));
+  return keys.length;
+}
+
+async function flushPendingState() {
+  const [lid, stores, acks, broadcasts] = await Promise.all([
+    // LID mappings are flushed for every agent, not just the debounced ones: they're cheap
+    (async () => {
+      await flushTimers(persistLidMappingsTimers, () => {});
+      const agents = Array.from(lidToPhoneCache.keys());
+      await Promise.allSettled(agents.map(persistLidMappingsNow));
+      return agents.length;
+    })(),
+    flushTimers(persistStoreTimers, persistStoreNow),
+    flushTimers(persistAcksTimers, persistAcksNow),
+    flushTimers(broadcastSaveTimers, (jobId) => saveBroadcastNow(broadcastJobs.get(jobId)))
+  ]);
+  if (persistApiKeysTimer) {
+    clearTimeout(persistApiKeysTimer);
+    persistApiKeysTimer = null;
+    await persistApiKeyUsage();
+  }
+  log.info({ event: 'shutdown.flushed', lid_agents: lid, stores, acks, broadcasts }, 'Pending state flushed');
+}
+
+// Deliveries already running get to finish; nothing new starts once shuttingDown is set
+async function waitForWebhookDeliveries() {
+  for (const queue of webhookQueues.values()) {
+    if (queue.timer) clearTimeout(queue.timer);
+    queue.timer = null;
+  }
+  while (Array.from(webhookQueues.values()).some(q => q.running)) {
+    await new Promise(r => setTimeout(r, 100));
+  }
+}
+
+async function closeSockets() {
+  const entries = Array.from(clients.entries());
+  for (const [agentId, clientData] of entries) {
+    try {
+      clientData.sock?.end(undefined); // end(), not logout(): the session must survive the restart
+    } catch (e) {
+      agentLog(agentId).warn({ event: 'shutdown.socket_end_failed', err: e }, 'Error ending socket');
+    }
+  }
+  // Write the final creds of each session, then wait for any write Baileys triggered itself
+  await Promise.allSettled(entries
+    .filter(([, clientData]) => typeof clientData.saveCreds === 'function')
+    .map(([, clientData]) => trackCredsWrite(clientData.saveCreds())));
+  await Promise.allSettled(Array.from(pendingCredsWrites));
+  // Hand the sessions over now instead of making the other instances wait out the TTL
+  await Promise.allSettled(Array.from(ownedAgents).map(releaseSession));
+  await leases.close().catch(() => {});
+  try {
+    await authStore.close();
+  } catch (e) {
+    log.warn({ event: 'shutdown.auth_store_close_failed', driver: authStore.name, err: e }, 'Error closing auth store');
   }
+  return entries.length;
 }
 
+async function gracefulShutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  const started = Date.now();
+  log.info({ event: 'shutdown.start', signal, timeout_ms: SHUTDOWN_TIMEOUT_MS }, 'Shutting down');
+
+  const deadline = setTimeout(() => {
+    log.error({ event: 'shutdown.timeout', timeout_ms: SHUTDOWN_TIMEOUT_MS }, 'Shutdown deadline reached, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  deadline.unref();
+
+  try {
+    // 1. No new HTTP work; SSE streams would keep server.close() waiting forever.
+    // Queued sends never reached WhatsApp, so they fail fast instead of being half-sent
+    server.close();
+    const shutdownError = Object.assign(new Error('Service is shutting down'), { status: 503 });
+    for (const agentId of Array.from(sendQueues.keys())) dropSendQueue(agentId, shutdownError);
+    for (const subscribers of eventSubscribers.values()) {
+      for (const res of subscribers) res.end();
+    }
+    server.closeIdleConnections?.();
+    clearInterval(cleanupInterval);
+    clearInterval(leaseRenewInterval);
+    if (orphanScanInterval) clearInterval(orphanScanInterval);
+    if (apiKeysRefreshInterval) clearInterval(apiKeysRefreshInterval);
+    if (scheduleTimer) clearTimeout(scheduleTimer);
+    await new Promise(r => setImmediate(r)); // let rejected senders record their state first
+
+    // 2. Debounced writes and webhook POSTs already on the wire
+    await Promise.all([flushPendingState(), waitForWebhookDeliveries()]);
+
+    // 3. Sockets and creds
+    const closed = await closeSockets();
+    log.info({ event: 'shutdown.done', sockets: closed, duration_ms: Date.now() - started }, 'Shutdown complete');
+    process.exit(0);
+  } catch (e) {
+    log.error({ event: 'shutdown.failed', err: e }, 'Error during shutdown');
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+// Requests wait for the API keys; legacy files are moved into the store before anything reads it
+apiKeysReady = importLegacyServiceState()
+  .catch((e) => log.error({ event: 'state.import_failed', err: e }, 'Could not import legacy service state'))
+  .then(encryptServiceNamespaces)
+  .then(loadApiKeys);
+
 // Start server
-app.listen(PORT, () => {
-  console.log(`🚀 WhatsApp Baileys Microservice running on port ${PORT}`);
-  console.log(`📦 Engine: Baileys (WebSocket, no Chromium)`);
-  console.log(`📍 Webhook URL: ${WEBHOOK_URL}`);
-  console.log(`🔐 Auth configured: ${MICROSERVICE_SECRET !== 'your-secret-key-here'}`);
-  console.log(`⚙️ Max concurrent sessions: ${MAX_CONCURRENT_SESSIONS}`);
-  console.log(`⏰ QR timeout: ${QR_TIMEOUT_MS / 1000} seconds`);
-  console.log(`🧹 Cleanup interval: ${CLEANUP_INTERVAL_MS / 1000} seconds`);
-  console.log(`💾 Auth sessions dir: ${AUTH_DIR}`);
-
-  // Restore sessions after server is listening
-  restoreSessions();
+const server = app.listen(PORT, () => {
+  log.info({
+    event: 'server.started',
+    port: Number(PORT),
+    engine: 'baileys',
+    webhook_url: WEBHOOK_URL,
+    instance_id: INSTANCE_ID,
+    cluster: CLUSTER_ENABLED ? { driver: leases.name, url: INSTANCE_URL, routing: CLUSTER_ROUTING } : null,
+    auth_configured: MICROSERVICE_SECRET !== 'your-secret-key-here',
+    webhook_signing: WEBHOOK_BEARER_COMPAT ? 'hmac+bearer' : 'hmac',
+    webhook_retries: { attempts: WEBHOOK_MAX_ATTEMPTS, base_ms: WEBHOOK_RETRY_BASE_MS, max_ms: WEBHOOK_RETRY_MAX_MS },
+    max_sessions: MAX_CONCURRENT_SESSIONS,
+    qr_timeout_s: QR_TIMEOUT_MS / 1000,
+    cleanup_interval_s: CLEANUP_INTERVAL_MS / 1000,
+    auth_dir: AUTH_DIR,
+    media_storage: mediaStorage.name,
+    media_local_fallback: MEDIA_LOCAL_FALLBACK && mediaStorage !== localMediaStorage,
+    log_level: log.level,
+    log_redact: LOG_REDACT
+  }, 'WhatsApp Baileys Microservice running');
+
+  // Restore sessions after server is listening; scheduled jobs and broadcasts start once
+  // they're back. In a cluster each claimed session brings its own queue and jobs instead.
+  apiKeysReady.then(() => {
+    // Resume webhook deliveries interrupted by the last shutdown
+    if (!CLUSTER_ENABLED) loadWebhookQueues();
+    return restoreSessions();
+  }).then(() => {
+    sessionsRestored = true;
+    startScheduler();
+    if (!CLUSTER_ENABLED) loadBroadcasts();
+  });
 });
+
+// Session leases: keep ours alive, and adopt sessions whose owner stopped renewing
+const leaseRenewInterval = setInterval(() => {
+  renewLeases().catch((e) => log.error({ event: 'cluster.renew_failed', err: e }, 'Lease renewal crashed'));
+}, LEASE_RENEW_MS);
+const orphanScanInterval = CLUSTER_ENABLED
+  ? setInterval(() => {
+    if (sessionsRestored && !shuttingDown) restoreSessions({ periodic: true });
+  }, ORPHAN_SCAN_MS)
+  : null;
+// Keys created, changed or revoked on other replicas
+const apiKeysRefreshInterval = CLUSTER_ENABLED
+  ? setInterval(() => {
+    if (!shuttingDown) loadApiKeys();
+  }, API_KEYS_REFRESH_MS)
+  : null;
@@ -0,0 +1,76 @@
+// Portable, passphrase-encrypted session archives (POST /export and /import).
+//
+//   const archive = await sealArchive({ agent_id, auth: [[key, value], ...], store }, passphrase);
+//   const payload = await openArchive(archive, passphrase);
+//
+// Layout: "WASESS" | version (1 byte) | scrypt salt (16) | IV (12) | GCM tag (16) | data,
+// where data is the gzipped JSON payload (Buffers kept with BufferJSON). The header is
+// authenticated too, so a truncated or tampered archive fails as loudly as a wrong
+// passphrase. The archive holds everything needed to log in as the account: whoever has
+// it and the passphrase owns the number.
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { BufferJSON } = require('@whiskeysockets/baileys');
+
+const MAGIC = Buffer.from('WASESS');
+const VERSION = 1;
+const HEADER_BYTES = MAGIC.length + 1 + 16;
+const MIN_PASSPHRASE_LENGTH = 12;
+// N=2^15, r=8 needs 128 * N * r = 32 MiB plus overhead, just past Node's 32 MiB default maxmem
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+const scrypt = promisify(crypto.scrypt);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+function checkPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+async function sealArchive(payload, passphrase) {
+  checkPassphrase(passphrase);
+  const salt = crypto.randomBytes(16);
+  const header = Buffer.concat([MAGIC, Buffer.from([VERSION]), salt]);
+  const key = await scrypt(passphrase, salt, 32, SCRYPT_OPTIONS);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(header);
+  const plaintext = await gzip(Buffer.from(JSON.stringify({ ...payload, version: VERSION }, BufferJSON.replacer)));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([header, iv, cipher.getAuthTag(), data]);
+}
+
+async function openArchive(archive, passphrase) {
+  checkPassphrase(passphrase);
+  if (!Buffer.isBuffer(archive) || archive.length < HEADER_BYTES + 28 || !archive.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new Error('Not a session archive');
+  }
+  if (archive[MAGIC.length] !== VERSION) {
+    throw new Error(`Unsupported session archive version ${archive[MAGIC.length]}`);
+  }
+  const header = archive.subarray(0, HEADER_BYTES);
+  const key = await scrypt(passphrase, header.subarray(MAGIC.length + 1), 32, SCRYPT_OPTIONS);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, archive.subarray(HEADER_BYTES, HEADER_BYTES + 12));
+  decipher.setAAD(header);
+  decipher.setAuthTag(archive.subarray(HEADER_BYTES + 12, HEADER_BYTES + 28));
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([decipher.update(archive.subarray(HEADER_BYTES + 28)), decipher.final()]);
+  } catch (e) {
+    throw new Error('Wrong passphrase or corrupted archive');
+  }
+  const payload = JSON.parse((await gunzip(plaintext)).toString('utf8'), BufferJSON.reviver);
+  if (!payload?.agent_id || !Array.isArray(payload.auth) || !payload.auth.some(([key]) => key === 'creds')) {
+    throw new Error('Session archive has no credentials');
+  }
+  return payload;
+}
+
+module.exports = {
+  openArchive,
+  sealArchive,
+};
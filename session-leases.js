@@ -0,0 +1,195 @@
+// Session leases: which instance owns which agent_id when several replicas share one
+// auth store.
+//
+// Every driver exposes the same shape (all methods async):
+//   { name, acquire(agentId), renew(agentIds) -> lost agentIds, release(agentId),
+//     owner(agentId) -> { instance_id, url, expires_at } | null, list(), close() }
+// acquire() succeeds when the lease is free, expired or already ours, and extends it by
+// ttlMs. An instance that stops renewing (crashed, partitioned) loses its sessions to
+// whoever acquires them after the TTL.
+//
+//   none      single instance: every lease is granted, nothing is shared
+//   redis     one key per agent with a PX expiry (ioredis)
+//   postgres  one row per agent with an expires_at column (pg)
+
+function requireOptional(moduleName, driver) {
+  try {
+    return require(moduleName);
+  } catch (e) {
+    throw new Error(`CLUSTER_DRIVER=${driver} needs the "${moduleName}" package (npm install ${moduleName})`);
+  }
+}
+
+// ─── SINGLE INSTANCE ───
+
+function createLocalLeases({ instanceId, url, ttlMs }) {
+  const owned = new Map(); // agentId -> expires_at
+  return {
+    name: 'none',
+    async acquire(agentId) {
+      owned.set(agentId, Date.now() + ttlMs);
+      return true;
+    },
+    async renew(agentIds) {
+      for (const agentId of agentIds) owned.set(agentId, Date.now() + ttlMs);
+      return [];
+    },
+    async release(agentId) {
+      owned.delete(agentId);
+    },
+    async owner(agentId) {
+      const expiresAt = owned.get(agentId);
+      return expiresAt ? { instance_id: instanceId, url, expires_at: new Date(expiresAt).toISOString() } : null;
+    },
+    async list() {
+      return Array.from(owned.entries()).map(([agent_id, expiresAt]) => ({
+        agent_id, instance_id: instanceId, url, expires_at: new Date(expiresAt).toISOString()
+      }));
+    },
+    async close() {},
+  };
+}
+
+// ─── REDIS ───
+
+// Set the lease when it is free or already ours; 1 when we hold it afterwards
+const REDIS_ACQUIRE = `
+local current = redis.call('GET', KEYS[1])
+if current and cjson.decode(current).instance_id ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+return 1`;
+
+const REDIS_RELEASE = `
+local current = redis.call('GET', KEYS[1])
+if current and cjson.decode(current).instance_id == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0`;
+
+function createRedisLeases({ redisUrl, prefix = 'wa:lease:', instanceId, url, ttlMs }) {
+  if (!redisUrl) throw new Error('CLUSTER_DRIVER=redis requires CLUSTER_REDIS_URL (or REDIS_URL)');
+  const Redis = requireOptional('ioredis', 'redis');
+  const redis = new Redis(redisUrl, { maxRetriesPerRequest: 3 });
+  const record = JSON.stringify({ instance_id: instanceId, url });
+  const leaseKey = (agentId) => `${prefix}${agentId}`;
+
+  const acquire = async (agentId) =>
+    (await redis.eval(REDIS_ACQUIRE, 1, leaseKey(agentId), instanceId, record, ttlMs)) === 1;
+
+  const describe = async (key) => {
+    const [[, value], [, pttl]] = await redis.multi().get(key).pttl(key).exec();
+    if (!value || pttl < 0) return null;
+    return { ...JSON.parse(value), expires_at: new Date(Date.now() + pttl).toISOString() };
+  };
+
+  return {
+    name: 'redis',
+    acquire,
+    async renew(agentIds) {
+      const lost = [];
+      for (const agentId of agentIds) {
+        if (!(await acquire(agentId))) lost.push(agentId);
+      }
+      return lost;
+    },
+    async release(agentId) {
+      await redis.eval(REDIS_RELEASE, 1, leaseKey(agentId), instanceId);
+    },
+    owner: (agentId) => describe(leaseKey(agentId)),
+    async list() {
+      const leases = [];
+      let cursor = '0';
+      do {
+        const [next, keys] = await redis.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 200);
+        for (const key of keys) {
+          const lease = await describe(key);
+          if (lease) leases.push({ agent_id: key.slice(prefix.length), ...lease });
+        }
+        cursor = next;
+      } while (cursor !== '0');
+      return leases;
+    },
+    async close() {
+      await redis.quit();
+    },
+  };
+}
+
+// ─── POSTGRES ───
+
+function createPostgresLeases({ connectionString, table = 'wa_session_leases', instanceId, url, ttlMs }) {
+  if (!connectionString) throw new Error('CLUSTER_DRIVER=postgres requires CLUSTER_POSTGRES_URL (or DATABASE_URL)');
+  if (!/^[a-z_][a-z0-9_]*$/i.test(table)) throw new Error(`Invalid Postgres table name "${table}"`);
+  const { Pool } = requireOptional('pg', 'postgres');
+  const pool = new Pool({ connectionString, max: 3 });
+  const ready = pool.query(`CREATE TABLE IF NOT EXISTS ${table} (
+    agent_id TEXT PRIMARY KEY,
+    instance_id TEXT NOT NULL,
+    url TEXT,
+    expires_at TIMESTAMPTZ NOT NULL
+  )`);
+  ready.catch(() => {});
+
+  const query = async (sql, params) => {
+    await ready;
+    return pool.query(sql, params);
+  };
+  const toLease = (row) => ({
+    agent_id: row.agent_id, instance_id: row.instance_id, url: row.url, expires_at: row.expires_at.toISOString()
+  });
+
+  // Expiry is computed by the database clock, so instance clock skew doesn't matter
+  const acquire = async (agentId) => {
+    const { rowCount } = await query(`INSERT INTO ${table} (agent_id, instance_id, url, expires_at)
+      VALUES ($1, $2, $3, now() + ($4 || ' milliseconds')::interval)
+      ON CONFLICT (agent_id) DO UPDATE
+        SET instance_id = EXCLUDED.instance_id, url = EXCLUDED.url, expires_at = EXCLUDED.expires_at
+        WHERE ${table}.instance_id = EXCLUDED.instance_id OR ${table}.expires_at < now()`,
+    [agentId, instanceId, url, String(ttlMs)]);
+    return rowCount === 1;
+  };
+
+  return {
+    name: 'postgres',
+    acquire,
+    async renew(agentIds) {
+      const lost = [];
+      for (const agentId of agentIds) {
+        if (!(await acquire(agentId))) lost.push(agentId);
+      }
+      return lost;
+    },
+    async release(agentId) {
+      await query(`DELETE FROM ${table} WHERE agent_id = $1 AND instance_id = $2`, [agentId, instanceId]);
+    },
+    async owner(agentId) {
+      const { rows } = await query(`SELECT * FROM ${table} WHERE agent_id = $1 AND expires_at > now()`, [agentId]);
+      return rows[0] ? toLease(rows[0]) : null;
+    },
+    async list() {
+      const { rows } = await query(`SELECT * FROM ${table} WHERE expires_at > now() ORDER BY agent_id`);
+      return rows.map(toLease);
+    },
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+function createLeaseStore(driver, options) {
+  switch (driver) {
+    case 'none':
+      return createLocalLeases(options);
+    case 'redis':
+      return createRedisLeases({ ...options, ...options.redis });
+    case 'postgres':
+      return createPostgresLeases({ ...options, ...options.postgres });
+    default:
+      throw new Error(`Unknown CLUSTER_DRIVER "${driver}" (expected none, redis or postgres)`);
+  }
+}
+
+module.exports = {
+  createLeaseStore,
+  createLocalLeases,
+  createPostgresLeases,
+  createRedisLeases,
+};
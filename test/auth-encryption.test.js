@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { BufferJSON } = require('@whiskeysockets/baileys');
+const { createEncryptedAuthStore, isEnvelope, parseKeyring } = require('../auth-encryption');
+
+// Stored as JSON, like the real drivers
+const copy = (value) => JSON.parse(JSON.stringify(value, BufferJSON.replacer), BufferJSON.reviver);
+
+// Just enough of the auth-store interface to sit under the encryption layer
+function createMemoryStore() {
+  const entries = new Map(); // `${agentId}/${key}` -> value
+  return {
+    entries,
+    async read(agentId, key) {
+      return entries.has(`${agentId}/${key}`) ? copy(entries.get(`${agentId}/${key}`)) : null;
+    },
+    async write(agentId, key, value) {
+      entries.set(`${agentId}/${key}`, copy(value));
+    },
+    async readPrefix(agentId, prefix) {
+      return [...entries]
+        .filter(([id]) => id.startsWith(`${agentId}/${prefix}`))
+        .map(([id, value]) => [id.slice(agentId.length + 1), copy(value)]);
+    },
+  };
+}
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+const CREDS = { me: { id: '5215512345678:1@s.whatsapp.net' }, noiseKey: { private: Buffer.from('private-key'), public: Buffer.from('public-key') } };
+
+test('values round-trip and reach the inner store only as envelopes', async () => {
+  const inner = createMemoryStore();
+  const store = createEncryptedAuthStore(inner, parseKeyring(newKey()));
+  await store.write('agent-1', 'creds', CREDS);
+  const raw = inner.entries.get('agent-1/creds');
+  assert.ok(isEnvelope(raw));
+  assert.ok(!JSON.stringify(raw).includes('5215512345678'));
+  assert.deepStrictEqual(await store.read('agent-1', 'creds'), CREDS);
+  assert.deepStrictEqual(await store.readPrefix('agent-1', ''), [['creds', CREDS]]);
+});
+
+test('a value cannot be read without its master key', async () => {
+  const inner = createMemoryStore();
+  await createEncryptedAuthStore(inner, parseKeyring(newKey())).write('agent-1', 'creds', CREDS);
+  const otherKeyring = createEncryptedAuthStore(inner, parseKeyring(newKey()));
+  await assert.rejects(otherKeyring.read('agent-1', 'creds'), /not in AUTH_ENCRYPTION_KEY/);
+});
+
+test('tampered ciphertext fails to decrypt', async () => {
+  const inner = createMemoryStore();
+  const store = createEncryptedAuthStore(inner, parseKeyring(newKey()));
+  await store.write('agent-1', 'creds', CREDS);
+  const envelope = inner.entries.get('agent-1/creds');
+  const data = Buffer.from(envelope.data, 'base64');
+  data[data.length - 1] ^= 1;
+  envelope.data = data.toString('base64');
+  await assert.rejects(store.read('agent-1', 'creds'), /auth/i);
+});
+
+test('an envelope copied to another agent or key fails to decrypt', async () => {
+  const inner = createMemoryStore();
+  const store = createEncryptedAuthStore(inner, parseKeyring(newKey()));
+  await store.write('agent-1', 'creds', CREDS);
+  const envelope = inner.entries.get('agent-1/creds');
+  await inner.write('agent-2', 'creds', envelope);
+  await inner.write('agent-1', 'app-state-sync-version-regular', envelope);
+  await assert.rejects(store.read('agent-2', 'creds'));
+  await assert.rejects(store.read('agent-1', 'app-state-sync-version-regular'));
+});
+
+test('keys are bound in their escaped form, as readPrefix() returns them', async () => {
+  const inner = createMemoryStore();
+  const store = createEncryptedAuthStore(inner, parseKeyring(newKey()));
+  await store.write('agent-1', 'lid-mapping-123:4', { pn: '5215512345678' });
+  const envelope = inner.entries.get('agent-1/lid-mapping-123:4');
+  await inner.write('agent-1', 'lid-mapping-123-4', envelope);
+  assert.deepStrictEqual(await store.read('agent-1', 'lid-mapping-123-4'), { pn: '5215512345678' });
+});
+
+test('after a rotation old entries still read and encryptAgent() rewraps them', async () => {
+  const inner = createMemoryStore();
+  const oldKey = newKey();
+  const activeKey = newKey();
+  await createEncryptedAuthStore(inner, parseKeyring(oldKey)).write('agent-1', 'creds', CREDS);
+  const before = inner.entries.get('agent-1/creds');
+
+  const rotated = createEncryptedAuthStore(inner, parseKeyring(activeKey, oldKey));
+  assert.deepStrictEqual(await rotated.read('agent-1', 'creds'), CREDS);
+  assert.deepStrictEqual(await rotated.encryptAgent('agent-1'), { encrypted: 0, rewrapped: 1 });
+
+  const after = inner.entries.get('agent-1/creds');
+  assert.strictEqual(after.kid, parseKeyring(activeKey).activeId);
+  assert.strictEqual(after.data, before.data); // only the data key is rewrapped
+  const withoutOldKey = createEncryptedAuthStore(inner, parseKeyring(activeKey));
+  assert.deepStrictEqual(await withoutOldKey.read('agent-1', 'creds'), CREDS);
+});
+
+test('encryptAgent() encrypts plaintext entries and leaves current envelopes alone', async () => {
+  const inner = createMemoryStore();
+  await inner.write('agent-1', 'creds', CREDS);
+  await inner.write('agent-1', 'pre-key-1', { private: Buffer.from('pre-key') });
+  const store = createEncryptedAuthStore(inner, parseKeyring(newKey()));
+  assert.deepStrictEqual(await store.read('agent-1', 'creds'), CREDS); // plaintext stays readable
+  assert.deepStrictEqual(await store.encryptAgent('agent-1'), { encrypted: 2, rewrapped: 0 });
+  assert.ok(isEnvelope(inner.entries.get('agent-1/creds')));
+  assert.ok(isEnvelope(inner.entries.get('agent-1/pre-key-1')));
+  assert.deepStrictEqual(await store.encryptAgent('agent-1'), { encrypted: 0, rewrapped: 0 });
+});
+
+test('master keys must be 32 bytes', () => {
+  assert.throws(() => parseKeyring(crypto.randomBytes(16).toString('base64')), /32 bytes/);
+  assert.strictEqual(parseKeyring(crypto.randomBytes(32).toString('hex')).keys.size, 1);
+});
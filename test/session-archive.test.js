@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openArchive, sealArchive } = require('../session-archive');
+
+const PASSPHRASE = 'correct horse battery staple';
+const PAYLOAD = {
+  agent_id: 'agent-1',
+  exported_at: '2025-06-30T12:00:00.000Z',
+  auth: [
+    ['creds', { me: { id: '5215512345678:1@s.whatsapp.net' }, noiseKey: { private: Buffer.from('private-key') } }],
+    ['pre-key-1', { private: Buffer.from('pre-key') }],
+  ],
+  store: { chats: [] },
+};
+
+test('an archive opens with its passphrase, Buffers included', async () => {
+  const archive = await sealArchive(PAYLOAD, PASSPHRASE);
+  assert.ok(!archive.includes('5215512345678'));
+  const payload = await openArchive(archive, PASSPHRASE);
+  assert.deepStrictEqual(payload, { ...PAYLOAD, version: 1 });
+  assert.ok(Buffer.isBuffer(payload.auth[0][1].noiseKey.private));
+});
+
+test('a wrong passphrase is rejected', async () => {
+  const archive = await sealArchive(PAYLOAD, PASSPHRASE);
+  await assert.rejects(openArchive(archive, 'not the passphrase'), /Wrong passphrase or corrupted archive/);
+});
+
+test('tampering with the header, IV or data is rejected', async () => {
+  const archive = await sealArchive(PAYLOAD, PASSPHRASE);
+  // salt (header), IV, data
+  for (const offset of [10, 25, archive.length - 1]) {
+    const tampered = Buffer.from(archive);
+    tampered[offset] ^= 1;
+    await assert.rejects(openArchive(tampered, PASSPHRASE), /Wrong passphrase or corrupted archive/);
+  }
+});
+
+test('truncated or foreign input is not taken for an archive', async () => {
+  const archive = await sealArchive(PAYLOAD, PASSPHRASE);
+  await assert.rejects(openArchive(archive.subarray(0, 30), PASSPHRASE), /Not a session archive/);
+  await assert.rejects(openArchive(Buffer.from('PK\x03\x04 not an archive at all, just a zip'), PASSPHRASE), /Not a session archive/);
+  const newer = Buffer.from(archive);
+  newer[6] = 2;
+  await assert.rejects(openArchive(newer, PASSPHRASE), /Unsupported session archive version 2/);
+});
+
+test('short passphrases and archives without creds are refused', async () => {
+  await assert.rejects(sealArchive(PAYLOAD, 'short'), /at least 12 characters/);
+  const archive = await sealArchive({ ...PAYLOAD, auth: [['pre-key-1', {}]] }, PASSPHRASE);
+  await assert.rejects(openArchive(archive, PASSPHRASE), /no credentials/);
+});
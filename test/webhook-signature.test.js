@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { signWebhookPayload, verifyWebhookSignature } = require('../webhook-signature');
+
+const SECRET = 'test-signing-secret';
+const BODY = JSON.stringify({ event_type: 'message', agent_id: 'agent-1', body: 'hola' });
+const NOW = 1750000000;
+
+test('a signed payload verifies against the raw body', async () => {
+  const headers = signWebhookPayload(SECRET, 'delivery-1', BODY, NOW);
+  const result = await verifyWebhookSignature({ secret: SECRET, rawBody: Buffer.from(BODY), headers, now: NOW });
+  assert.deepStrictEqual(result, { valid: true, deliveryId: 'delivery-1', timestamp: NOW });
+});
+
+test('a changed body, id or secret fails the signature', async () => {
+  const headers = signWebhookPayload(SECRET, 'delivery-1', BODY, NOW);
+  const tamperedBody = await verifyWebhookSignature({ secret: SECRET, rawBody: BODY.replace('hola', 'chau'), headers, now: NOW });
+  assert.strictEqual(tamperedBody.reason, 'invalid_signature');
+  const otherId = await verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers: { ...headers, 'X-Webhook-Id': 'delivery-2' }, now: NOW });
+  assert.strictEqual(otherId.reason, 'invalid_signature');
+  const otherSecret = await verifyWebhookSignature({ secret: 'another-secret', rawBody: BODY, headers, now: NOW });
+  assert.strictEqual(otherSecret.reason, 'invalid_signature');
+});
+
+test('timestamps outside the tolerance window are rejected before the signature', async () => {
+  const headers = signWebhookPayload(SECRET, 'delivery-1', BODY, NOW - 301);
+  const result = await verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers, now: NOW });
+  assert.deepStrictEqual(result, { valid: false, reason: 'timestamp_out_of_tolerance', deliveryId: 'delivery-1' });
+  const future = signWebhookPayload(SECRET, 'delivery-1', BODY, NOW + 301);
+  assert.strictEqual((await verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers: future, now: NOW })).valid, false);
+});
+
+test('a delivery id seen before is reported as a replay', async () => {
+  const seen = new Set();
+  const isReplay = (id) => {
+    if (seen.has(id)) return true;
+    seen.add(id);
+    return false;
+  };
+  const headers = signWebhookPayload(SECRET, 'delivery-1', BODY, NOW);
+  assert.strictEqual((await verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers, now: NOW, isReplay })).valid, true);
+  const replayed = await verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers, now: NOW, isReplay });
+  assert.deepStrictEqual(replayed, { valid: false, reason: 'replayed_delivery', deliveryId: 'delivery-1' });
+});
+
+test('one matching signature is enough while secrets rotate', async () => {
+  const current = signWebhookPayload(SECRET, 'delivery-1', BODY, NOW);
+  const previous = signWebhookPayload('old-secret', 'delivery-1', BODY, NOW);
+  const headers = {
+    'x-webhook-id': 'delivery-1',
+    'x-webhook-timestamp': String(NOW),
+    'x-webhook-signature': `${previous['X-Webhook-Signature']} ${current['X-Webhook-Signature']}`,
+  };
+  assert.strictEqual((await verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers, now: NOW })).valid, true);
+});
+
+test('missing headers are rejected', async () => {
+  const result = await verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers: new Headers(), now: NOW });
+  assert.deepStrictEqual(result, { valid: false, reason: 'missing_headers' });
+});
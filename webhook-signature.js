@@ -0,0 +1,112 @@
+// HMAC-SHA256 signing for outgoing webhooks.
+//
+// Every webhook POST carries three headers:
+//   X-Webhook-Id         unique delivery id (stable across retries of the same delivery)
+//   X-Webhook-Timestamp  unix seconds at the time of this attempt
+//   X-Webhook-Signature  "v1=" + hex(HMAC_SHA256(secret, `${id}.${timestamp}.${rawBody}`))
+//
+// Receivers must verify against the RAW request body (before JSON parsing), reject
+// timestamps outside the tolerance window and remember delivery ids for at least that
+// window to drop replays. verifyWebhookSignature() below does all three.
+
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+const HEADERS = {
+  id: 'x-webhook-id',
+  timestamp: 'x-webhook-timestamp',
+  signature: 'x-webhook-signature',
+};
+
+function computeSignature(secret, deliveryId, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${deliveryId}.${timestamp}.${rawBody}`)
+    .digest('hex');
+}
+
+/**
+ * Build the signature headers for one webhook attempt.
+ * @param {string} secret shared signing secret
+ * @param {string} deliveryId unique delivery id
+ * @param {string} rawBody exact body that will be sent
+ * @param {number} [timestamp] unix seconds, defaults to now
+ * @returns {Record<string, string>}
+ */
+function signWebhookPayload(secret, deliveryId, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    'X-Webhook-Id': deliveryId,
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': `${SIGNATURE_VERSION}=${computeSignature(secret, deliveryId, timestamp, rawBody)}`,
+  };
+}
+
+// Helper: case-insensitive header lookup for plain objects and Fetch API Headers
+function readHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  const value = key ? headers[key] : null;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Verify a received webhook.
+ * @param {object} options
+ * @param {string} options.secret shared signing secret
+ * @param {string|Buffer} options.rawBody raw request body, exactly as received
+ * @param {object} options.headers request headers (plain object or Headers)
+ * @param {number} [options.toleranceSeconds=300] max clock skew / age accepted
+ * @param {(deliveryId: string) => boolean|Promise<boolean>} [options.isReplay] return true
+ *   if this delivery id was already processed; without it only the timestamp window applies
+ * @param {number} [options.now] unix seconds, for tests
+ * @returns {Promise<{ valid: boolean, reason?: string, deliveryId?: string, timestamp?: number }>}
+ */
+async function verifyWebhookSignature({
+  secret,
+  rawBody,
+  headers,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  isReplay,
+  now = Math.floor(Date.now() / 1000),
+}) {
+  const deliveryId = readHeader(headers, HEADERS.id);
+  const timestampRaw = readHeader(headers, HEADERS.timestamp);
+  const signatureHeader = readHeader(headers, HEADERS.signature);
+  if (!deliveryId || !timestampRaw || !signatureHeader) {
+    return { valid: false, reason: 'missing_headers' };
+  }
+
+  const timestamp = parseInt(timestampRaw, 10);
+  if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > toleranceSeconds) {
+    return { valid: false, reason: 'timestamp_out_of_tolerance', deliveryId };
+  }
+
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+  const expected = Buffer.from(computeSignature(secret, deliveryId, timestamp, body), 'hex');
+  // Header may carry several space-separated signatures during secret rotation
+  const matches = signatureHeader.split(' ').some((part) => {
+    const [version, hex] = part.split('=');
+    if (version !== SIGNATURE_VERSION || !hex) return false;
+    const received = Buffer.from(hex, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+  if (!matches) {
+    return { valid: false, reason: 'invalid_signature', deliveryId };
+  }
+
+  if (typeof isReplay === 'function' && await isReplay(deliveryId)) {
+    return { valid: false, reason: 'replayed_delivery', deliveryId };
+  }
+
+  return { valid: true, deliveryId, timestamp };
+}
+
+module.exports = {
+  HEADERS,
+  DEFAULT_TOLERANCE_SECONDS,
+  signWebhookPayload,
+  verifyWebhookSignature,
+};